@@ -0,0 +1,110 @@
+import katex from 'katex';
+import { nodeRequire } from './utils.js';
+
+/**
+ * Client-side assets the rendered HTML relies on
+ * KaTeX output needs its stylesheet, mermaid diagrams are drawn in the
+ * browser by mermaid itself, and Prism tokens need a theme to be colored.
+ * Each asset is available from a CDN, or from the installed package for inlining.
+ */
+const ASSETS = {
+  katexCss: {
+    url: `https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css`,
+    file: 'katex/dist/katex.min.css'
+  },
+  prismTheme: {
+    url: 'https://cdn.jsdelivr.net/npm/prismjs@1.30.0/themes/prism.min.css',
+    file: 'prismjs/themes/prism.min.css'
+  },
+  prismDarkTheme: {
+    url: 'https://cdn.jsdelivr.net/npm/prismjs@1.30.0/themes/prism-tomorrow.min.css',
+    file: 'prismjs/themes/prism-tomorrow.min.css'
+  },
+  mermaidScript: {
+    url: 'https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js',
+    file: 'mermaid/dist/mermaid.min.js'
+  }
+};
+
+const inlinedAssets = new Map();
+
+/**
+ * Work out which assets a rendered document needs
+ * @param {Object} features - What the document uses
+ * @param {boolean} features.hasMath - The document contains math
+ * @param {boolean} features.hasMermaid - The document contains mermaid diagrams
+ * @param {boolean} features.hasHighlighting - Some code block is highlighted by Prism
+ * @returns {{styles: Array<string>, scripts: Array<string>}} - Stylesheet and script URLs
+ */
+export function getRequiredAssets({ hasMath, hasMermaid, hasHighlighting }) {
+  const styles = [];
+  const scripts = [];
+  
+  if (hasMath) styles.push(ASSETS.katexCss.url);
+  if (hasHighlighting) styles.push(ASSETS.prismTheme.url);
+  if (hasMermaid) scripts.push(ASSETS.mermaidScript.url);
+  
+  return { styles, scripts };
+}
+
+/**
+ * Replace the KaTeX font URLs with data: URIs
+ * Only the woff2 files are embedded; every browser that runs KaTeX reads them
+ */
+function inlineKatexFonts(css, cssPath) {
+  const fontsDirectory = cssPath.slice(0, cssPath.lastIndexOf('/') + 1);
+  const { readFileSync } = nodeRequire('fs');
+  
+  return css.replace(/src:([^;}]+)/g, (declaration, sources) => {
+    const woff2 = /url\((fonts\/[^)]+\.woff2)\)/.exec(sources);
+    if (!woff2) return declaration;
+    
+    const font = readFileSync(fontsDirectory + woff2[1]).toString('base64');
+    return `src:url(data:font/woff2;base64,${font}) format("woff2")`;
+  });
+}
+
+/**
+ * Read an asset from its installed package, for inlining
+ * Only works in Node; the result is cached
+ * @param {string} name - The asset name, e.g. 'katexCss'
+ * @returns {string} - The file content, with KaTeX fonts embedded
+ */
+export function readAsset(name) {
+  if (!nodeRequire) {
+    throw new Error('Inlining assets needs Node; link them from the CDN instead');
+  }
+  
+  if (!inlinedAssets.has(name)) {
+    const file = nodeRequire.resolve(ASSETS[name].file);
+    const content = nodeRequire('fs').readFileSync(file, 'utf8');
+    inlinedAssets.set(name, name === 'katexCss' ? inlineKatexFonts(content, file) : content);
+  }
+  
+  return inlinedAssets.get(name);
+}
+
+/**
+ * Render the tag that loads an asset
+ * @param {string} name - The asset name, e.g. 'prismTheme'
+ * @param {Object} options - Tag options
+ * @param {boolean} options.inline - Embed the asset instead of linking to the CDN
+ * @param {string} [options.media] - Media query for stylesheets
+ * @returns {string} - A <link>, <style> or <script> tag
+ */
+export function renderAssetTag(name, { inline = false, media } = {}) {
+  const isScript = ASSETS[name].file.endsWith('.js');
+  const mediaAttribute = media ? ` media="${media}"` : '';
+  
+  if (!inline) {
+    return isScript
+      ? `<script src="${ASSETS[name].url}"></script>`
+      : `<link rel="stylesheet" href="${ASSETS[name].url}"${mediaAttribute}>`;
+  }
+  
+  // A closing tag inside the content would end the element early
+  const content = readAsset(name);
+  return isScript
+    ? `<script>${content.replace(/<\/script/gi, '<\\/script')}</script>`
+    : `<style${mediaAttribute}>${content.replace(/<\/style/gi, '<\\/style')}</style>`;
+}
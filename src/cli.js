@@ -0,0 +1,336 @@
+import path from 'path';
+import { promises as fsPromises, watch as watchPath } from 'fs';
+import { parseArgs } from 'util';
+import MarkdownRenderer from './markdowntorender.js';
+import { MarkdownRenderError } from './errors.js';
+import { THEMES } from './standalone.js';
+import { findMarkdownFiles, isMarkdownFile } from './site.js';
+
+const USAGE = `Usage: markdowntorender [options] [input]
+
+Render a markdown file, a directory tree of markdown files, or stdin
+(no input or "-") to HTML.
+
+Options:
+  -o, --out <path>      Output file, or output directory for a directory input
+                        (default: stdout for a file or stdin)
+  -s, --standalone      Write a complete HTML page with the KaTeX, Prism and
+                        mermaid assets the document needs
+      --theme <theme>   light, dark or auto (default) for --standalone
+      --inline-assets   Embed the assets in --standalone pages for offline use
+  -f, --format <format> html (default) or json, which writes the AST
+  -w, --watch           Rebuild changed files until interrupted
+      --strict          Fail on invalid math, diagrams and front matter
+  -h, --help            Show this help
+`;
+
+/**
+ * Exit codes: rendering failed (in strict mode, or a file could not be read
+ * or written), or the command line was invalid
+ */
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Render one markdown document in the requested format
+ * @param {MarkdownRenderer} renderer - The renderer
+ * @param {string} markdown - The markdown
+ * @param {Object} options - The parsed command line options
+ * @returns {string} - HTML or JSON output
+ */
+function renderDocument(renderer, markdown, options) {
+  if (options.format === 'json') {
+    return `${JSON.stringify(renderer.parse(markdown), null, 2)}\n`;
+  }
+  
+  if (!options.standalone) {
+    return renderer.render(markdown);
+  }
+  
+  return renderer.renderStandalone(markdown, { theme: options.theme, inlineAssets: options['inline-assets'] });
+}
+
+/**
+ * Work out where the output for an input file goes in the output directory
+ */
+function getOutputPath(file, inputDirectory, outputDirectory, format) {
+  const relative = path.relative(inputDirectory, file);
+  const extension = format === 'json' ? '.json' : '.html';
+  return path.join(outputDirectory, relative.slice(0, -path.extname(relative).length) + extension);
+}
+
+/**
+ * Read all of a stream as text
+ */
+async function readStream(stream) {
+  let text = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+/**
+ * Format an error or warning as file:line:column: message
+ */
+function formatProblem(file, { line, column, message }) {
+  const location = line ? `:${line}:${column}` : '';
+  return `${file}${location}: ${message}`;
+}
+
+/**
+ * Run the command line interface
+ * @param {Array<string>} argv - The arguments, without the node and script paths
+ * @param {Object} io - Streams to use, for tests; defaults to the process streams
+ * @returns {Promise<number>} - The exit code
+ */
+export async function run(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o' },
+        standalone: { type: 'boolean', short: 's' },
+        theme: { type: 'string', default: 'auto' },
+        'inline-assets': { type: 'boolean' },
+        format: { type: 'string', short: 'f', default: 'html' },
+        watch: { type: 'boolean', short: 'w' },
+        strict: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  
+  const { values: options, positionals } = parsed;
+  
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+  
+  if (!['html', 'json'].includes(options.format) || !THEMES.includes(options.theme) || positionals.length > 1) {
+    stderr.write(USAGE);
+    return EXIT_USAGE;
+  }
+  
+  const input = positionals[0] || '-';
+  
+  // Each file gets its own renderer, so the warnings of rebuilds that
+  // overlap in watch mode name the right file
+  const createRenderer = file => new MarkdownRenderer({
+    strict: Boolean(options.strict),
+    onWarning: warning => stderr.write(`${formatProblem(file, warning)} (warning)\n`)
+  });
+  
+  // Renders one file, reporting failures instead of throwing
+  const build = async (file, outputPath) => {
+    try {
+      const markdown = await fsPromises.readFile(file, 'utf8');
+      const output = renderDocument(createRenderer(file), markdown, options);
+      
+      if (outputPath) {
+        await fsPromises.mkdir(path.dirname(outputPath), { recursive: true });
+        await fsPromises.writeFile(outputPath, output);
+      } else {
+        stdout.write(output);
+      }
+      return true;
+    } catch (error) {
+      const problem = error instanceof MarkdownRenderError ? error : { message: error.message };
+      stderr.write(`${formatProblem(file, problem)}\n`);
+      return false;
+    }
+  };
+  
+  if (input === '-') {
+    if (options.watch) {
+      stderr.write('--watch needs a file or directory input\n');
+      return EXIT_USAGE;
+    }
+    
+    try {
+      const output = renderDocument(createRenderer('<stdin>'), await readStream(stdin), options);
+      if (options.out) {
+        await fsPromises.writeFile(options.out, output);
+      } else {
+        stdout.write(output);
+      }
+      return 0;
+    } catch (error) {
+      stderr.write(`${formatProblem('<stdin>', error)}\n`);
+      return EXIT_FAILURE;
+    }
+  }
+  
+  let stats;
+  try {
+    stats = await fsPromises.stat(input);
+  } catch (error) {
+    stderr.write(`${input}: ${error.code === 'ENOENT' ? 'no such file or directory' : error.message}\n`);
+    return EXIT_FAILURE;
+  }
+  
+  if (!stats.isDirectory()) {
+    const succeeded = await build(input, options.out);
+    if (options.watch) {
+      await watchFiles(input, false, () => build(input, options.out), stderr);
+    }
+    return succeeded ? 0 : EXIT_FAILURE;
+  }
+  
+  if (!options.out) {
+    stderr.write('A directory input needs --out <directory>\n');
+    return EXIT_USAGE;
+  }
+  
+  const outputFor = file => getOutputPath(file, input, options.out, options.format);
+  let succeeded = true;
+  
+  for (const file of await findMarkdownFiles(input)) {
+    succeeded = await build(file, outputFor(file)) && succeeded;
+  }
+  
+  if (options.watch) {
+    await watchFiles(input, true, changed => {
+      if (isMarkdownFile(changed)) {
+        return build(changed, outputFor(changed));
+      }
+    }, stderr);
+  }
+  
+  return succeeded ? 0 : EXIT_FAILURE;
+}
+
+/**
+ * Rebuild on changes until the process is interrupted
+ * Editors often write a file in several steps, so changes are debounced per file.
+ * A single file is watched through its directory: editors that save by
+ * renaming a temporary file over it replace the file a watcher would follow.
+ * Where fs.watch cannot watch recursively (Node 18 on Linux), each directory
+ * of the tree gets its own watcher, and new directories are watched as they appear
+ * @param {string} target - File or directory to watch
+ * @param {boolean} isDirectory - Whether target is a directory, watched recursively
+ * @param {function(string): Promise<boolean|undefined>} rebuild - Called with the path of each changed file
+ * @param {Object} stderr - Stream for status messages
+ */
+async function watchFiles(target, isDirectory, rebuild, stderr) {
+  const pending = new Map();
+  const watchers = new Map();
+  let perDirectory = false;
+  
+  const stop = error => {
+    stderr.write(`Stopped watching ${target}: ${error.message}\n`);
+    watchers.forEach(watcher => watcher.close());
+    watchers.clear();
+    pending.forEach(timer => clearTimeout(timer));
+    process.exitCode = EXIT_FAILURE;
+  };
+  
+  const onChange = changed => {
+    clearTimeout(pending.get(changed));
+    pending.set(changed, setTimeout(async () => {
+      pending.delete(changed);
+      
+      // Deleted and renamed files also trigger events
+      let stats;
+      try {
+        stats = await fsPromises.stat(changed);
+      } catch {
+        if (perDirectory && changed !== target && watchers.has(changed)) {
+          watchers.get(changed).close();
+          watchers.delete(changed);
+        }
+        return;
+      }
+      
+      if (stats.isDirectory()) {
+        if (perDirectory && !watchers.has(changed) && isWatchedDirectory(path.basename(changed))) {
+          try {
+            await watchTree(changed);
+            for (const file of await findMarkdownFiles(changed)) {
+              onChange(file);
+            }
+          } catch (error) {
+            stderr.write(`Cannot watch ${changed}: ${error.message}\n`);
+          }
+        }
+        return;
+      }
+      
+      if (await rebuild(changed)) {
+        stderr.write(`Rebuilt ${changed}\n`);
+      }
+    }, 50));
+  };
+  
+  const watch = (directory, recursive) => {
+    const watcher = watchPath(directory, { recursive }, (event, filename) => {
+      if (!isDirectory && filename && filename.toString() !== path.basename(target)) return;
+      onChange(isDirectory && filename ? path.join(directory, filename.toString()) : target);
+    });
+    watchers.set(directory, watcher);
+    
+    // For example the watched directory was deleted; a deleted subdirectory
+    // only loses its own watcher
+    watcher.on('error', error => {
+      if (directory === target || !isDirectory) {
+        stop(error);
+      } else {
+        watcher.close();
+        watchers.delete(directory);
+      }
+    });
+  };
+  
+  const watchTree = async directory => {
+    for (const subdirectory of await findDirectories(directory)) {
+      if (!watchers.has(subdirectory)) {
+        watch(subdirectory, false);
+      }
+    }
+  };
+  
+  stderr.write(`Watching ${target} for changes\n`);
+  
+  if (!isDirectory) {
+    watch(path.dirname(target), false);
+    return;
+  }
+  
+  try {
+    watch(target, true);
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+    perDirectory = true;
+    await watchTree(target);
+  }
+}
+
+/**
+ * Find a directory and its subdirectories, skipping hidden directories and
+ * node_modules as findMarkdownFiles() does
+ */
+async function findDirectories(directory) {
+  const directories = [directory];
+  
+  for (const entry of await fsPromises.readdir(directory, { withFileTypes: true })) {
+    if (entry.isDirectory() && isWatchedDirectory(entry.name)) {
+      directories.push(...await findDirectories(path.join(directory, entry.name)));
+    }
+  }
+  
+  return directories;
+}
+
+/**
+ * Hidden directories and node_modules are neither searched nor watched
+ */
+function isWatchedDirectory(name) {
+  return !name.startsWith('.') && name !== 'node_modules';
+}
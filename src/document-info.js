@@ -0,0 +1,87 @@
+import { walkTokens } from './utils.js';
+import { MATH_LANGUAGES } from './plugins/math.js';
+import { getDiffLanguage } from './plugins/highlight.js';
+import { isPrismLanguageLoaded } from './prism-languages.js';
+
+// Average silent reading speed used for the reading time
+const WORDS_PER_MINUTE = 200;
+
+// Leaf tokens whose text is part of the prose
+const TEXT_TOKEN_TYPES = ['text', 'codespan', 'escape'];
+
+/**
+ * Flatten nested table of contents entries into document order
+ */
+function flattenToc(entries) {
+  return entries.flatMap(({ depth, text, id, children }) => [{ depth, text, id }, ...flattenToc(children)]);
+}
+
+/**
+ * Count words, and collect the links, wiki-links and images of a document
+ * Code blocks, math and raw HTML are not counted as words
+ * @param {DocumentNode} ast - The document node
+ * @returns {Object} - wordCount, readingTime (minutes), headings, links, wikiLinks and images
+ */
+export function getDocumentStats(ast) {
+  let wordCount = 0;
+  const links = [];
+  const wikiLinks = [];
+  const images = [];
+  
+  walkTokens(ast.children, token => {
+    if (TEXT_TOKEN_TYPES.includes(token.type) && !token.tokens) {
+      wordCount += (token.text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+    } else if (token.type === 'link') {
+      links.push({ href: token.href, text: token.text, title: token.title || null });
+    } else if (token.type === 'wikiLink') {
+      const { target, heading, label, href, resolved } = token;
+      wikiLinks.push({ target, heading, label, href, resolved });
+    } else if (token.type === 'image') {
+      images.push({ src: token.href, alt: token.text, title: token.title || null });
+    }
+  });
+  
+  return {
+    wordCount,
+    readingTime: Math.ceil(wordCount / WORDS_PER_MINUTE),
+    headings: flattenToc(ast.toc || []),
+    links,
+    wikiLinks,
+    images
+  };
+}
+
+/**
+ * Find code blocks in languages Prism does not know, which are rendered
+ * without highlighting
+ * Call this after rendering, once languages have been loaded
+ * @param {DocumentNode} ast - The document node
+ * @returns {Array<Object>} - { type: 'language', message, line, column } per block, line and column null if unknown
+ */
+export function getLanguageWarnings(ast) {
+  const warnings = [];
+  
+  walkTokens(ast.children, token => {
+    if (token.type !== 'code' || !token.lang || token.isMermaid || MATH_LANGUAGES.includes(token.lang)) return;
+    
+    const language = getDiffLanguage(token.lang) || token.lang;
+    if (!isPrismLanguageLoaded(language)) {
+      warnings.push({
+        type: 'language',
+        message: `Unknown code block language "${language}", the block is not highlighted`,
+        ...getLocation(token.position)
+      });
+    }
+  });
+  
+  return warnings;
+}
+
+/**
+ * Line and column where a node starts
+ */
+function getLocation(position) {
+  return position
+    ? { line: position.start.line, column: position.start.column }
+    : { line: null, column: null };
+}
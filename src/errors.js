@@ -0,0 +1,52 @@
+/**
+ * Errors thrown in strict mode
+ * Every error carries the 1-based line and column in the markdown source
+ * where the problem starts, or null when it cannot be located
+ */
+export class MarkdownRenderError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} details - Where it went wrong
+   * @param {number|null} details.line - 1-based source line
+   * @param {number|null} details.column - 1-based source column
+   * @param {Error} [details.cause] - The underlying error
+   */
+  constructor(message, { line = null, column = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * A formula KaTeX could not render
+ */
+export class MathRenderError extends MarkdownRenderError {}
+
+/**
+ * A mermaid diagram that failed to parse or render
+ */
+export class DiagramError extends MarkdownRenderError {}
+
+/**
+ * Markdown or front matter that could not be parsed
+ */
+export class ParseError extends MarkdownRenderError {}
+
+// Warning types that are errors in strict mode; the rest only warn
+const ERROR_TYPES = {
+  math: MathRenderError,
+  diagram: DiagramError,
+  'front-matter': ParseError
+};
+
+/**
+ * Turn a warning into the error strict mode throws for it
+ * @param {Object} warning - { type, message, line, column, cause? }
+ * @returns {MarkdownRenderError|null} - The typed error, or null if the warning never fails a render
+ */
+export function warningToError(warning) {
+  const ErrorType = ERROR_TYPES[warning.type];
+  return ErrorType ? new ErrorType(warning.message, warning) : null;
+}
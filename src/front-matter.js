@@ -0,0 +1,166 @@
+import yaml from 'js-yaml';
+import { parse as parseToml } from 'smol-toml';
+
+// --- YAML --- or +++ TOML +++ at the very start of the file; the closing fence
+// is a line of its own, so a value ending in "..." or "---" does not close the block
+const FRONT_MATTER_PATTERNS = [
+  { format: 'yaml', pattern: /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/, parse: source => yaml.load(source, { schema: yaml.CORE_SCHEMA }) },
+  { format: 'toml', pattern: /^\+\+\+[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?\+\+\+[ \t]*(?:\r?\n|$)/, parse: parseToml }
+];
+
+/**
+ * Get the message and the file line and column of a YAML or TOML error
+ * The block starts on line 2, after the opening fence
+ */
+function getErrorLocation(error, format) {
+  if (format === 'yaml' && error.mark) {
+    return { message: `Invalid YAML front matter: ${error.reason}`, line: error.mark.line + 2, column: error.mark.column + 1 };
+  }
+  
+  if (format === 'toml' && error.line) {
+    return { message: `Invalid TOML front matter: ${error.message.split('\n')[0]}`, line: error.line + 1, column: error.column };
+  }
+  
+  return { message: `Invalid front matter: ${error.message}`, line: null, column: null };
+}
+
+/**
+ * Detect and strip a front matter block
+ * The block is blanked out rather than removed, so line numbers and offsets
+ * in the rest of the document still match the original file
+ * @param {string} markdown - The markdown, possibly starting with front matter
+ * @returns {{frontMatter: Object|null, format: string|null, body: string, error?: Object}} - The parsed
+ *   data and the remaining markdown; error holds { message, line, column } if the block did not parse
+ */
+export function extractFrontMatter(markdown) {
+  for (const { format, pattern, parse } of FRONT_MATTER_PATTERNS) {
+    const match = pattern.exec(markdown);
+    if (!match) continue;
+    
+    let data;
+    try {
+      data = parse(match[1] || '');
+    } catch (error) {
+      // Most likely broken front matter, though it may also be a thematic
+      // break and a setext heading; either way the markdown is left as it is
+      return { frontMatter: null, format: null, body: markdown, error: getErrorLocation(error, format) };
+    }
+    
+    // Only a non-empty mapping is front matter: "---", "# Intro", "---" parses
+    // as null but is a rule, a heading and a rule
+    if (!data || typeof data !== 'object' || Array.isArray(data) || Object.keys(data).length === 0) {
+      return { frontMatter: null, format: null, body: markdown };
+    }
+    
+    const blank = match[0].replace(/[^\r\n]/g, ' ');
+    return { frontMatter: data, format, body: blank + markdown.slice(match[0].length) };
+  }
+  
+  return { frontMatter: null, format: null, body: markdown };
+}
+
+/**
+ * Find the fenced code blocks and code spans of a document
+ * Placeholders in code are documentation of the syntax, not variables
+ * @param {string} markdown - The markdown
+ * @returns {Array<Array<number>>} - [start, end) offsets
+ */
+function findCodeRanges(markdown) {
+  const ranges = [];
+  const fence = /^ {0,3}(`{3,}|~{3,})[^\n]*$/gm;
+  const span = /(?<!`)(`+)(?!`)[\s\S]*?[^`]\1(?!`)/g;
+  let match;
+  
+  while ((match = fence.exec(markdown))) {
+    const closing = new RegExp(`^ {0,3}${match[1][0]}{${match[1].length},}[ \\t]*$`, 'gm');
+    closing.lastIndex = match.index + match[0].length + 1;
+    const end = closing.exec(markdown);
+    ranges.push([match.index, end ? closing.lastIndex : markdown.length]);
+    fence.lastIndex = end ? closing.lastIndex : markdown.length;
+  }
+  
+  const fences = [...ranges];
+  const inFence = offset => fences.some(([start, end]) => offset >= start && offset < end);
+  
+  while ((match = span.exec(markdown))) {
+    // Code spans end at a blank line, like the paragraph they are in
+    if (inFence(match.index) || /\n[ \t]*\n/.test(match[0])) {
+      span.lastIndex = match.index + match[1].length;
+      continue;
+    }
+    ranges.push([match.index, span.lastIndex]);
+  }
+  
+  return ranges;
+}
+
+/**
+ * Replace {{ page.key }} placeholders with front matter values
+ * Nested keys use dots ({{ page.author.name }}); placeholders without a
+ * matching scalar value, and placeholders in fenced code and code spans,
+ * are left as they are
+ * Values are usually not as long as their placeholders, so toOriginal()
+ * maps offsets in the result back to the markdown, for source positions
+ * @param {string} markdown - The markdown
+ * @param {Object} frontMatter - The front matter data
+ * @returns {{text: string, toOriginal: function(number): number}} - The markdown with values
+ *   substituted, and offset => offset in the markdown
+ */
+export function substituteVariables(markdown, frontMatter) {
+  // { start, end } in the result and { originalStart, originalEnd } in the markdown
+  const replacements = [];
+  let shift = 0;
+  const code = frontMatter ? findCodeRanges(markdown) : [];
+  
+  const text = !frontMatter ? markdown : markdown.replace(/\{\{\s*page\.([\w-]+(?:\.[\w-]+)*)\s*\}\}/g, (match, path, offset) => {
+    const inCode = code.some(([start, end]) => offset >= start && offset < end);
+    const replacement = inCode ? match : getVariableValue(frontMatter, path) ?? match;
+    if (replacement !== match) {
+      const start = offset + shift;
+      replacements.push({ start, end: start + replacement.length, originalStart: offset, originalEnd: offset + match.length });
+      shift += replacement.length - match.length;
+    }
+    return replacement;
+  });
+  
+  const toOriginal = offset => {
+    let previous = null;
+    for (const replacement of replacements) {
+      if (replacement.start > offset) break;
+      previous = replacement;
+    }
+    
+    if (!previous) return offset;
+    if (offset >= previous.end) return offset - previous.end + previous.originalEnd;
+    return previous.originalStart + Math.min(offset - previous.start, previous.originalEnd - previous.originalStart);
+  };
+  
+  return { text, toOriginal };
+}
+
+/**
+ * Format the front matter value at a dotted path for substitution
+ * Only own keys of plain objects are followed, so {{ page.constructor }} and
+ * {{ page.title.length }} stay as they are
+ * @returns {string|null} - The value, or null if there is no scalar value
+ */
+function getVariableValue(frontMatter, path) {
+  const value = path.split('.').reduce(
+    (node, key) => isPlainObject(node) && Object.hasOwn(node, key) ? node[key] : undefined,
+    frontMatter
+  );
+  
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (Array.isArray(value)) return value.join(', ');
+  if (value == null || typeof value === 'object') return null;
+  return String(value);
+}
+
+/**
+ * Check for a mapping parsed from YAML or TOML, not an array, date or string
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
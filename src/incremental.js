@@ -0,0 +1,95 @@
+/**
+ * Incremental rendering for live previews: top-level blocks are keyed by a
+ * hash of their tokens, so unchanged blocks keep their HTML and their DOM nodes
+ */
+
+import { hashString } from './utils.js';
+
+/**
+ * Get the key of a top-level token from everything its HTML depends on
+ * Positions only matter when they are rendered as data-sourcepos, so by
+ * default a block that merely moves keeps its key
+ * @param {Object} token - A top-level token
+ * @param {Object} options - { positions }
+ * @returns {string} - The content hash
+ */
+export function getBlockSignature(token, { positions = false } = {}) {
+  return hashString(JSON.stringify(token, (key, value) => {
+    if (key !== 'position') return value;
+    return positions && value
+      ? [value.start.line, value.start.column, value.end.line, value.end.column]
+      : undefined;
+  }));
+}
+
+/**
+ * Add data-block-key to the first tag of a block's HTML
+ * HTML that does not start with a tag is wrapped in a <div>
+ * @param {string} html - The block's HTML
+ * @param {string} key - The block key
+ * @returns {string} - HTML output
+ */
+export function annotateBlock(html, key) {
+  const pattern = /^(\s*<[a-zA-Z][\w-]*)/;
+  if (pattern.test(html)) {
+    return html.replace(pattern, `$1 data-block-key="${key}"`);
+  }
+  return `<div data-block-key="${key}">${html}</div>\n`;
+}
+
+/**
+ * Work out the patches that turn one list of blocks into another
+ * Blocks shared at the start and end are kept; the blocks in between are
+ * removed and the new ones inserted, in document order
+ * @param {Array<Object>} previous - { key, html } per block
+ * @param {Array<Object>} next - { key, html } per block
+ * @returns {Array<Object>} - { type: 'remove', key } and { type: 'insert', key, before, html },
+ *   where before is the key of the block to insert in front of, or null to append
+ */
+export function diffBlocks(previous, next) {
+  let start = 0;
+  while (start < previous.length && start < next.length && previous[start].key === next[start].key) {
+    start++;
+  }
+  
+  let previousEnd = previous.length;
+  let nextEnd = next.length;
+  while (previousEnd > start && nextEnd > start && previous[previousEnd - 1].key === next[nextEnd - 1].key) {
+    previousEnd--;
+    nextEnd--;
+  }
+  
+  const before = nextEnd < next.length ? next[nextEnd].key : null;
+  return [
+    ...previous.slice(start, previousEnd).map(({ key }) => ({ type: 'remove', key })),
+    ...next.slice(start, nextEnd).map(({ key, html }) => ({ type: 'insert', key, before, html }))
+  ];
+}
+
+/**
+ * Apply the patches of an update() result to the element showing the
+ * previous result, in the browser
+ * @param {Element} container - The element whose content is the previous HTML
+ * @param {Array<Object>} patches - The patches from update()
+ */
+export function applyPatches(container, patches) {
+  const find = key => Array.from(container.children).find(element => element.getAttribute('data-block-key') === key);
+  const isBlock = node => node.nodeType === 1 && node.hasAttribute('data-block-key');
+  
+  patches.forEach(patch => {
+    if (patch.type === 'remove') {
+      // The text after a block, such as its trailing newline, goes with it
+      let node = find(patch.key);
+      while (node) {
+        const next = node.nextSibling;
+        node.remove();
+        node = next && !isBlock(next) ? next : null;
+      }
+      return;
+    }
+    
+    const template = container.ownerDocument.createElement('template');
+    template.innerHTML = patch.html;
+    container.insertBefore(template.content, patch.before ? find(patch.before) || null : null);
+  });
+}
@@ -1,12 +1,36 @@
 import { promises as fsPromises } from 'fs';
-import { marked } from 'marked';
+import { Marked } from 'marked';
 import Prism from 'prismjs';
-import katex from 'katex';
-import markedFootnote from 'marked-footnote';
 import mermaid from 'mermaid';
 
+import { getTokenAtPath, escapeHtml, walkTokens, hashString } from './utils.js';
+import { sanitizeHtml, DEFAULT_SANITIZE_OPTIONS } from './sanitize.js';
+import { extractFrontMatter, substituteVariables } from './front-matter.js';
+import { getRequiredAssets } from './assets.js';
+import { renderStandalonePage } from './standalone.js';
+import { buildSite as buildSiteFiles, siteLinksPlugin, siteWikiLinkResolver } from './site.js';
+import { getDocumentStats, getLanguageWarnings } from './document-info.js';
+import { getBlockSignature, annotateBlock, diffBlocks, applyPatches } from './incremental.js';
+import { MarkdownRenderError, MathRenderError, DiagramError, ParseError, warningToError } from './errors.js';
+import { loadPrismLanguages, loadPrismLanguagesAsync, isPrismLanguageLoaded } from './prism-languages.js';
+import inlineFormattingPlugin from './plugins/inline-formatting.js';
+import mathPlugin, { MATH_LANGUAGES } from './plugins/math.js';
+import youtubePlugin from './plugins/youtube.js';
+import footnotesPlugin from './plugins/footnotes.js';
+import headingsPlugin, { collectHeadings } from './plugins/headings.js';
+import wikiLinksPlugin from './plugins/wiki-links.js';
+import calloutsPlugin from './plugins/callouts.js';
+import definitionListsPlugin from './plugins/definition-lists.js';
+import abbreviationsPlugin from './plugins/abbreviations.js';
+import attributesPlugin from './plugins/attributes.js';
+import taskListsPlugin, { collectTasks, toggleTaskInSource } from './plugins/task-lists.js';
+import sourcePositionsPlugin, { locateTokens, lookupNode } from './plugins/source-positions.js';
+import highlightPlugin, { getDiffLanguage } from './plugins/highlight.js';
+import mermaidPlugin, { renderMermaidDiagrams, insertMermaidSvgs, getDiagramMessage } from './plugins/mermaid.js';
+
 // Import Prism core components
-import 'prismjs/components/prism-core.js';
+// prismjs already contains the core; importing prism-core.js again would replace
+// the global Prism that language components register themselves on
 import 'prismjs/components/prism-markup.js';
 import 'prismjs/components/prism-clike.js';
 import 'prismjs/components/prism-javascript.js';
@@ -17,29 +41,180 @@ if (typeof window !== 'undefined') {
 }
 
 /**
- * Parse markdown into an AST
- * @param {string} markdown - Markdown text to parse
- * @returns {Object} - The AST structure
+ * Version of the AST schema produced by parse()
+ * Minor versions only add fields; a new major version may remove or change them
+ */
+const AST_VERSION = '1.6';
+
+/**
+ * @typedef {Object} SourcePosition
+ * @property {{line: number, column: number, offset: number}} start - Where the node starts (1-based line and column)
+ * @property {{line: number, column: number, offset: number}} end - Just past the node's last character
+ */
+
+/**
+ * @typedef {Object} MermaidDiagram
+ * @property {'mermaid'} type
+ * @property {string} content - The diagram source
+ * @property {Array<number|string>} path - Path to the code token, e.g. [3] or [2, 'items', 0, 'tokens', 1]
+ */
+
+/**
+ * @typedef {Object} MathExpression
+ * @property {'inline'|'block'} type - Inline $...$ or display $$...$$ / math code block
+ * @property {string} content - The TeX source
+ * @property {SourcePosition|null} position - Location in the markdown, null if it could not be mapped
+ * @property {boolean} [fromCodeBlock] - True for ```math, ```katex and ```tex blocks
+ */
+
+/**
+ * @typedef {Object} CodeMeta
+ * @property {string|null} title - From title="..." (or filename="...")
+ * @property {Array<number>} highlightLines - 1-based lines from {1,3-5}
+ * @property {boolean} showLineNumbers - From the showLineNumbers flag
+ * @property {number} startLine - Number of the first line, from showLineNumbers=10
+ */
+
+/**
+ * @typedef {Object} TocEntry
+ * @property {number} depth - Heading level, 1-6
+ * @property {string} text - Heading text without formatting
+ * @property {string} id - Unique GitHub-compatible slug, also set on the heading token
+ * @property {Array<TocEntry>} children - Headings nested below this one
  */
-function parseMarkdown(markdown) {
-  marked.setOptions({
-    renderer: new marked.Renderer(),
-    headerIds: true,
+
+/**
+ * @typedef {Object} TaskItem
+ * @property {number} index - 0-based position among the task items of the document
+ * @property {boolean} checked - Whether the box is ticked
+ * @property {string} text - First line of the item text
+ * @property {number|null} line - 1-based line of the item in the source
+ * @property {number|null} column - 1-based column of its "[ ]" box
+ * @property {number|null} offset - Offset of the "[" of the box in the source
+ */
+
+/**
+ * @typedef {Object} DocumentNode
+ * @property {'document'} type
+ * @property {string} version - The AST_VERSION the tree was produced with
+ * @property {Array<Object>} children - marked tokens, plus the extension tokens
+ *   (inlineMath, blockMath, sub, sup, mark, youtube, youtubeLink, footnote, footnoteRef, footnotes, toc, wikiLink, callout,
+ *   definitionList, abbreviation, abbr, attributes).
+ *   Code tokens carry the bare language in `lang`, the full fence info string in `info`
+ *   and its parsed CodeMeta in `meta`. Every token found in the source, including list
+ *   items, table cells and inline tokens, has its SourcePosition in `position`
+ * @property {Array<string>} renderSteps - Render phases the document goes through
+ * @property {Array<string>} codeLanguages - Lowercased languages of fenced code blocks, excluding mermaid;
+ *   diff-<lang> blocks report <lang>
+ * @property {Array<MermaidDiagram>} mermaidDiagrams - Mermaid diagrams in document order
+ * @property {Array<MathExpression>} mathExpressions - Math expressions in document order
+ * @property {Array<TocEntry>} toc - Table of contents; heading tokens also get their `id`
+ * @property {Array<TaskItem>} tasks - Task list items; their tokens also get `taskIndex` and `sourceLine`
+ * @property {Object|null} frontMatter - Data from a leading YAML (---) or TOML (+++) block
+ */
+
+/**
+ * @typedef {Object} UpdateResult
+ * @property {string} markdown - The markdown that was rendered
+ * @property {string} html - The rendered HTML, with data-block-key on every top-level block
+ * @property {Array<{key: string, html: string}>} blocks - The HTML of each top-level block, in document order
+ * @property {Array<Object>} patches - Changes from the previous result: { type: 'remove', key }
+ *   and { type: 'insert', key, before, html } with before null to append; see applyPatches()
+ */
+
+/**
+ * Create a private Marked instance
+ * Each MarkdownRenderer owns one, so instances never affect each other
+ * @returns {Marked} - The Marked instance, configured further by plugins
+ */
+function createMarkedInstance() {
+  return new Marked({
     gfm: true,
-    langPrefix: 'language-',
+    langPrefix: 'language-'
+  });
+}
+
+/**
+ * Register the parser and renderer parts of a plugin on a Marked instance
+ * @param {Marked} instance - The Marked instance
+ * @param {Object} plugin - The plugin
+ */
+function applyPluginToMarked(instance, plugin) {
+  if (plugin.marked) {
+    instance.use(plugin.marked);
+  }
+  
+  if (plugin.extensions && plugin.extensions.length > 0) {
+    instance.use({ extensions: plugin.extensions });
+  }
+  
+  // Overrides of marked's own renderer methods (code, heading, ...) go through
+  // `renderer`; anything else is a token type added by an extension
+  Object.entries(plugin.renderers || {}).forEach(([type, render]) => {
+    if (type in instance.Renderer.prototype) {
+      instance.use({ renderer: { [type]: render } });
+    } else {
+      instance.use({ extensions: [{ name: type, renderer: render }] });
+    }
   });
+}
+
+/**
+ * Parse markdown into an AST
+ * Front matter is stripped into ast.frontMatter and its values are
+ * substituted for {{ page.key }} placeholders before lexing
+ * @param {string} markdown - Markdown text to parse
+ * @param {Marked} instance - The Marked instance to lex with
+ * @param {Object} [options] - { onWarning, inlinePositions }: onWarning receives a warning if the
+ *   front matter does not parse, and inlinePositions locates every inline token, not just the
+ *   links, images, math and wiki links
+ * @returns {DocumentNode} - The AST structure
+ */
+function parseMarkdown(markdown, instance, { onWarning, inlinePositions = false } = {}) {
+  const { frontMatter, body, error } = extractFrontMatter(markdown);
+  if (error && onWarning) {
+    onWarning({ type: 'front-matter', ...error });
+  }
+  
+  const { text: source, toOriginal } = substituteVariables(body, frontMatter);
+  const tokens = instance.lexer(source);
+  
+  // marked.parse() walks the tokens between lexing and parsing, and
+  // extensions such as footnotes rely on it to finish their tokens. marked's
+  // own walkTokens() concatenates arrays as it goes, which is quadratic
+  if (instance.defaults.walkTokens) {
+    const childTokens = (instance.defaults.extensions && instance.defaults.extensions.childTokens) || {};
+    walkTokens(tokens, token => instance.defaults.walkTokens.call(instance, token), childTokens);
+  }
+  
+  // The footnote extension reserves the first token for its footnotes
+  // section; drop the placeholder it leaves behind so children start clean
+  const first = tokens[0];
+  if (first && ((first.type === 'space' && first.raw === '') ||
+      (first.type === 'footnotes' && first.items.length === 0))) {
+    tokens.shift();
+  }
+  
+  // The blanked-out front matter lexes as blank lines
+  if (frontMatter && tokens[0] && tokens[0].type === 'space') {
+    tokens.shift();
+  }
   
-  const tokens = marked.lexer(markdown);
   enhanceCodeBlocks(tokens);
+  // Positions refer to the markdown as written, before substitution
+  locateTokens(tokens, source, { original: body, toOriginal, inline: inlinePositions });
   
   const ast = {
     type: 'document',
-    version: '1.0',
+    version: AST_VERSION,
     children: tokens,
     renderSteps: detectRenderSteps(tokens),
     codeLanguages: detectCodeLanguages(tokens),
     mermaidDiagrams: detectMermaidDiagrams(tokens),
-    mathExpressions: detectMathExpressions(tokens)
+    mathExpressions: detectMathExpressions(tokens),
+    toc: collectHeadings(tokens),
+    tasks: collectTasks(tokens),
+    frontMatter
   };
   
   return ast;
@@ -47,128 +222,90 @@ function parseMarkdown(markdown) {
 
 /**
  * Render an AST to HTML
- * @param {Object} ast - The AST structure
+ * @param {DocumentNode} ast - The AST structure
+ * @param {Marked} instance - The Marked instance to render with
  * @returns {string} - HTML output
  */
-function renderToHtml(ast) {
-  if (!ast || !ast.children) {
+function renderToHtml(ast, instance) {
+  if (!ast || ast.type !== 'document' || !Array.isArray(ast.children)) {
     throw new Error('Invalid AST structure');
   }
   
-  const renderer = new marked.Renderer();
-  
-  // Handle code blocks with syntax highlighting
-  renderer.code = function(code, language) {
-    if (language === 'mermaid') {
-      return `<div class="mermaid">${code}</div>`;
-    }
-    
-    if (language === 'math' || language === 'katex' || language === 'tex') {
-      try {
-        const rendered = katex.renderToString(code, {
-          displayMode: true,
-          throwOnError: false
-        });
-        return rendered;
-      } catch (error) {
-        console.error('Error rendering math code block:', error);
-        return `<pre><code class="language-${language}">${code}</code></pre>`;
-      }
-    }
-    
-    const langClass = language ? ` class="language-${language}"` : '';
-    
-    if (language && Prism.languages[language]) {
-      const highlighted = Prism.highlight(code, Prism.languages[language], language);
-      return `<pre><code${langClass}>${highlighted}</code></pre>`;
-    }
-    
-    return `<pre><code${langClass}>${code}</code></pre>`;
-  };
-  
-  // Set up marked with our renderer
-  marked.setOptions({
-    renderer: renderer,
-    headerIds: true,
-    gfm: true
-  });
-  
-  // Add footnote extension
-  marked.use(markedFootnote());
-  
-  // Render the AST to HTML
-  let html = marked.parser(ast.children);
-  
-  // Process math expressions
-  if (ast.mathExpressions && ast.mathExpressions.length > 0) {
-    html = processMathExpressions(html, ast.mathExpressions);
+  const major = String(ast.version || '').split('.')[0];
+  if (major !== AST_VERSION.split('.')[0]) {
+    throw new Error(`Unsupported AST version "${ast.version}", expected ${AST_VERSION}`);
   }
   
-  return html;
+  return instance.parser(ast.children);
 }
 
 /**
- * Process math expressions in the HTML
+ * Parse a fence info string such as: js title="app.js" {3-5} showLineNumbers
+ * @param {string} info - The info string after the opening fence
+ * @returns {Object} - { language, meta } where meta holds title, highlightLines,
+ *   showLineNumbers and startLine
  */
-function processMathExpressions(html, expressions) {
-  let processedHtml = html;
+function parseCodeInfo(info) {
+  const meta = {
+    title: null,
+    highlightLines: [],
+    showLineNumbers: false,
+    startLine: 1
+  };
+  let language = '';
   
-  // Process block math expressions
-  for (const expr of expressions.filter(e => e.type === 'block')) {
-    try {
-      // Render the expression with KaTeX
-      const rendered = katex.renderToString(expr.content, {
-        displayMode: true,
-        throwOnError: false
-      });
-      
-      // Create matching patterns for the original expression
-      // Handle both with and without newlines around the expression
-      const patternWithNewlines = new RegExp('\\$\\$\\s*' + escapeRegExp(expr.content) + '\\s*\\$\\$', 'g');
-      const patternInline = new RegExp('\\$\\$' + escapeRegExp(expr.content) + '\\$\\$', 'g');
-      
-      // First try with newlines (as it appears in the paragraph tags)
-      processedHtml = processedHtml.replace(patternWithNewlines, rendered);
-      // Then try without newlines (as it might appear in other contexts)
-      processedHtml = processedHtml.replace(patternInline, rendered);
-      
-      // Handle the exact form it appears in the test HTML
-      if (expr.content.includes('\n')) {
-        const cleanContent = expr.content.trim().replace(/\n/g, ' ');
-        const blockPattern = new RegExp('\\$\\$\\s*' + escapeRegExp(cleanContent) + '\\s*\\$\\$', 'g');
-        processedHtml = processedHtml.replace(blockPattern, rendered);
-      }
-    } catch (error) {
-      console.error('Error rendering block math:', error);
-    }
-  }
+  const partPattern = /(\w+)=(?:"([^"]*)"|'([^']*)'|(\S+))|\{([\d,\s-]*)\}|(\S+)/g;
+  let match;
+  let isFirst = true;
   
-  // Process inline math expressions
-  for (const expr of expressions.filter(e => e.type === 'inline')) {
-    try {
-      // Render the expression with KaTeX
-      const rendered = katex.renderToString(expr.content, {
-        displayMode: false,
-        throwOnError: false
-      });
-      
-      // Create matching pattern for the original expression
-      const pattern = new RegExp('\\$' + escapeRegExp(expr.content) + '\\$', 'g');
-      processedHtml = processedHtml.replace(pattern, rendered);
-    } catch (error) {
-      console.error('Error rendering inline math:', error);
+  while ((match = partPattern.exec(info || '')) !== null) {
+    const [, key, doubleQuoted, singleQuoted, bare, ranges, word] = match;
+    
+    if (key) {
+      const value = doubleQuoted ?? singleQuoted ?? bare;
+      if (key === 'title' || key === 'filename') {
+        meta.title = value;
+      } else if (key === 'showLineNumbers') {
+        meta.showLineNumbers = true;
+        meta.startLine = parseInt(value, 10) || 1;
+      }
+    } else if (ranges !== undefined) {
+      meta.highlightLines.push(...parseLineRanges(ranges));
+    } else if (word === 'showLineNumbers') {
+      meta.showLineNumbers = true;
+    } else if (isFirst) {
+      language = word;
     }
+    
+    isFirst = false;
   }
   
-  return processedHtml;
+  return { language, meta };
+}
+
+/**
+ * Expand "1,3-5" into [1, 3, 4, 5]
+ */
+function parseLineRanges(ranges) {
+  return ranges.split(',').flatMap(range => {
+    const [start, end = start] = range.trim().split('-').map(number => parseInt(number, 10));
+    if (!start || !end || end < start) return [];
+    return Array.from({ length: end - start + 1 }, (_, index) => start + index);
+  });
 }
 
 /**
  * Enhance code blocks in the tokens with additional info
+ * The info string is split into the bare language (token.lang) and its
+ * metadata (token.meta); the original stays available as token.info
  */
 function enhanceCodeBlocks(tokens) {
   function processToken(token) {
     if (token.type === 'code') {
+      const { language, meta } = parseCodeInfo(token.lang);
+      token.info = token.lang || '';
+      token.lang = language;
+      token.meta = meta;
       token.language = token.lang || 'plaintext';
       token.languageDisplay = token.lang || 'Plain Text';
       token.isMermaid = token.language === 'mermaid';
@@ -201,7 +338,8 @@ function detectCodeLanguages(tokens) {
   
   function processToken(token) {
     if (token.type === 'code' && token.lang && token.lang !== 'mermaid') {
-      languages.add(token.lang.toLowerCase());
+      // diff-<lang> blocks are highlighted with the grammar for <lang>
+      languages.add((getDiffLanguage(token.lang) || token.lang).toLowerCase());
     }
     
     if (token.tokens) {
@@ -247,78 +385,30 @@ function detectMermaidDiagrams(tokens) {
 
 /**
  * Detect math expressions in the AST
+ * Math tokens come from the inlineMath/blockMath extensions and from
+ * math code blocks
+ * @param {Array} tokens - Tokens from the lexer, with their positions recorded
  */
 function detectMathExpressions(tokens) {
   const expressions = [];
   
-  // Function to extract math expressions from text
-  function extractMathFromText(text) {
-    // Match block math expressions: $$...$$
-    const blockRegex = /\$\$([\s\S]*?)\$\$/g;
-    let blockMatch;
-    while ((blockMatch = blockRegex.exec(text)) !== null) {
-      const content = blockMatch[1].trim();
-      expressions.push({
-        type: 'block',
-        content: content
-      });
-    }
-    
-    // Match inline math expressions: $...$
-    const inlineRegex = /\$([^\$\n]+)\$/g;
-    let inlineMatch;
-    while ((inlineMatch = inlineRegex.exec(text)) !== null) {
-      // Skip if this is part of a block expression
-      if (text.substring(inlineMatch.index - 1, inlineMatch.index + 1) === '$$' || 
-          text.substring(inlineMatch.index + inlineMatch[0].length - 1, inlineMatch.index + inlineMatch[0].length + 1) === '$$') {
-        continue;
-      }
-      
-      const content = inlineMatch[1].trim();
-      expressions.push({
-        type: 'inline',
-        content: content
-      });
-    }
-  }
-  
-  function processToken(token) {
-    // Extract math from paragraph and text tokens
-    if ((token.type === 'paragraph' || token.type === 'text') && token.text) {
-      extractMathFromText(token.text);
-    }
+  walkTokens(tokens, token => {
+    const isMathToken = token.type === 'inlineMath' || token.type === 'blockMath';
+    const isMathCode = token.type === 'code' && MATH_LANGUAGES.includes(token.lang);
     
-    // Extract math from code blocks with math language
-    if (token.type === 'code' && 
-        (token.lang === 'math' || token.lang === 'katex' || token.lang === 'tex')) {
+    if (isMathToken || isMathCode) {
       expressions.push({
-        type: 'block',
+        type: token.displayMode || isMathCode ? 'block' : 'inline',
         content: token.text,
-        fromCodeBlock: true
+        position: token.position || null,
+        ...(isMathCode ? { fromCodeBlock: true } : {})
       });
     }
-    
-    // Process nested tokens
-    if (token.tokens) {
-      token.tokens.forEach(processToken);
-    }
-    
-    if (token.items) {
-      token.items.forEach(processToken);
-    }
-  }
+  });
   
-  tokens.forEach(processToken);
   return expressions;
 }
 
-/**
- * Helper function to escape special characters for RegExp
- */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 /**
  * MarkdownRenderer - A comprehensive Markdown rendering utility
  * Supports extended Markdown syntax including math, diagrams, task lists, and more
@@ -332,12 +422,127 @@ class MarkdownRenderer {
     constructor(options = {}) {
         this.options = {
             highlight: true,
+            loadLanguages: true,
+            youtubeEmbed: 'thumbnail',
+            sanitize: false,
+            mermaidRenderer: null,
+            headingAnchors: false,
+            strict: false,
+            onWarning: null,
+            logger: null,
+            wikiLinkResolver: null,
+            callouts: {},
+            interactiveTasks: false,
+            sourcePositions: false,
             ...options
         };
         
+        this._marked = createMarkedInstance();
+        this._plugins = [];
+        this._collectedWarnings = null;
+        
+        // Built-in features are plugins too; renderer overrides registered
+        // later are tried first, so math and mermaid see code blocks before Prism
+        this.use(highlightPlugin());
+        this.use(inlineFormattingPlugin());
+        this.use(mathPlugin({ onWarning: warning => this._warn(warning) }));
+        this.use(mermaidPlugin());
+        this.use(youtubePlugin({ embed: this.options.youtubeEmbed }));
+        this.use(footnotesPlugin());
+        this.use(definitionListsPlugin());
+        this.use(abbreviationsPlugin());
+        this.use(attributesPlugin());
+        this.use(taskListsPlugin({ interactive: this.options.interactiveTasks }));
+        this.use(calloutsPlugin({ callouts: this.options.callouts }));
+        this.use(headingsPlugin({ anchors: this.options.headingAnchors }));
+        this.use(wikiLinksPlugin({
+            resolve: this.options.wikiLinkResolver,
+            onWarning: warning => this._warn(warning)
+        }));
+        
+        // Source positions annotate what the other renderers produce, so they go last
+        if (this.options.sourcePositions) {
+            this.use(sourcePositionsPlugin());
+        }
+        
+        (this.options.plugins || []).forEach(plugin => this.use(plugin));
+        
         this._initializeComponents();
     }
     
+    /**
+     * Register a plugin
+     * 
+     * A plugin is an object with any of these optional members, applied in
+     * this order for every render:
+     * - preprocess(markdown, renderer): returns the markdown to parse
+     * - marked: a marked extension object, e.g. markedFootnote()
+     * - extensions: marked tokenizer extensions
+     * - transformAst(ast, renderer): changes the AST in place or returns a new one
+     * - renderers: { [tokenType]: function(token) } per-node renderers; return
+     *   false to fall back to the renderer registered before
+     * - postprocess(html, renderer): returns the final HTML
+     * 
+     * Hooks of the same kind run in registration order, built-in plugins
+     * first. Tokenizers and renderers follow marked and try the most
+     * recently registered plugin first.
+     * @param {Object} plugin - The plugin to register
+     * @returns {MarkdownRenderer} This renderer, for chaining
+     */
+    use(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error('Plugin must be an object');
+        }
+        
+        applyPluginToMarked(this._marked, plugin);
+        this._plugins.push(plugin);
+        
+        return this;
+    }
+    
+    /**
+     * Run a plugin hook over a value, feeding each plugin the previous result
+     * @private
+     * @param {string} hook - The hook name
+     * @param {*} value - The initial value
+     * @returns {*} The value returned by the last plugin
+     */
+    _runHook(hook, value) {
+        return this._plugins.reduce((current, plugin) => {
+            if (typeof plugin[hook] !== 'function') return current;
+            const result = plugin[hook](current, this);
+            return result === undefined ? current : result;
+        }, value);
+    }
+    
+    /**
+     * Report a problem found while parsing or rendering
+     * In strict mode math, diagram and parse problems throw their typed
+     * error; otherwise, and for the other warnings, the logger and the
+     * onWarning callback are told. Nothing is written to the console.
+     * @private
+     * @param {Object} warning - { type, message, line, column }
+     */
+    _warn(warning) {
+        const error = this.options.strict ? warningToError(warning) : null;
+        if (error) {
+            throw error;
+        }
+        
+        if (this._collectedWarnings) {
+            this._collectedWarnings.push(warning);
+        }
+        
+        if (this.options.logger) {
+            const location = warning.line ? ` (line ${warning.line}, column ${warning.column})` : '';
+            this.options.logger.warn(`${warning.message}${location}`);
+        }
+        
+        if (this.options.onWarning) {
+            this.options.onWarning(warning);
+        }
+    }
+    
     /**
      * Initialize external components like Mermaid
      * @private
@@ -358,58 +563,58 @@ class MarkdownRenderer {
     
     /**
      * Load essential languages for syntax highlighting
+     * markup, clike and javascript are imported at the top of the file; the
+     * languages named in the dynamicFileTypes option are loaded up front
      */
     loadEssentialLanguages() {
-        // Basic languages already imported in the top of the file
-        
-        // Additional languages can be loaded dynamically if needed
-        if (this.options.loadLanguages) {
-            try {
-                // This is where we would dynamically load additional Prism languages if needed
-                // Example implementation would depend on the environment (Node.js vs Browser)
-                if (this.options.dynamicFileTypes) {
-                    // Load specified languages based on file types
-                    this._loadPrismLanguagesForFileTypes(this.options.dynamicFileTypes);
-                }
-            } catch (error) {
-                console.warn('Error loading languages:', error);
-            }
+        if (this.options.loadLanguages && this.options.dynamicFileTypes) {
+            this._loadPrismLanguagesForFileTypes(this.options.dynamicFileTypes);
         }
     }
     
     /**
      * Load Prism languages for specific file types
      * @private
-     * @param {Object} fileTypes - File types to language mappings
+     * @param {Object} fileTypes - File types to language mappings, e.g. { '.py': { language: 'python' } }
      */
     _loadPrismLanguagesForFileTypes(fileTypes) {
         if (!fileTypes || typeof fileTypes !== 'object') return;
         
-        Object.values(fileTypes).forEach(fileType => {
-            if (fileType.language && typeof fileType.language === 'string') {
-                try {
-                    // In a real implementation, this would dynamically import the Prism language
-                    // This is simplified for demonstration purposes
-                    const language = fileType.language.toLowerCase();
-                    this._tryLoadPrismLanguage(language);
-                } catch (error) {
-                    console.warn(`Error loading language "${fileType.language}":`, error);
-                }
-            }
-        });
+        const languages = Object.values(fileTypes)
+            .map(fileType => fileType && fileType.language)
+            .filter(language => typeof language === 'string')
+            .map(language => language.toLowerCase());
+        
+        languages.forEach(language => this._tryLoadPrismLanguage(language));
     }
     
     /**
-     * Try to load a Prism language
+     * Try to load a Prism language and the languages it depends on
+     * Loading is synchronous in Node; elsewhere use loadLanguages() or renderAsync()
      * @private
-     * @param {string} language - The language to load
+     * @param {string} language - The language or alias to load
+     * @returns {boolean} Whether the language is available afterwards
      */
     _tryLoadPrismLanguage(language) {
-        // This would be a proper implementation for dynamically loading Prism languages
-        // For now, we'll just check if it's already available
-        if (!Prism.languages[language]) {
-            console.warn(`Language "${language}" is not available in Prism.`);
+        try {
+            if (loadPrismLanguages([language]).length === 0) return true;
+        } catch (error) {
+            this._warn({ type: 'language', message: `Error loading language "${language}": ${error.message}`, line: null, column: null });
+            return false;
         }
+        
+        this._warn({ type: 'language', message: `Language "${language}" is not available in Prism`, line: null, column: null });
+        return false;
+    }
+    
+    /**
+     * Load Prism languages with dynamic import(), for browsers and bundlers
+     * Dependencies are loaded first and aliases such as js, sh and yml are resolved
+     * @param {Array<string>} languages - Languages or aliases to load
+     * @returns {Promise<Array<string>>} Languages that are still not available
+     */
+    async loadLanguages(languages) {
+        return loadPrismLanguagesAsync(languages);
     }
     
     /**
@@ -419,27 +624,116 @@ class MarkdownRenderer {
      * @returns {string} The processed markdown
      */
     _preProcessMarkdown(markdown) {
-        // Add any custom pre-processing here
-        return markdown;
+        return this._runHook('preprocess', markdown);
     }
     
     /**
      * Read markdown from a file
      * @param {string} filePath - Path to the markdown file
-     * @returns {Promise<string>} The rendered HTML content
+     * @param {Object} [options] - Read options
+     * @param {boolean} [options.info] - Return the renderWithInfo() result instead of the HTML
+     * @returns {Promise<string|Object>} The rendered HTML content, or HTML, front matter and info
      */
-    async readMarkdownFromFile(filePath) {
+    async readMarkdownFromFile(filePath, { info = false } = {}) {
+        const markdown = await fsPromises.readFile(filePath, 'utf8');
+        return info ? this.renderWithInfo(markdown) : this.render(markdown);
+    }
+    
+    /**
+     * Parse markdown into an AST (phase one)
+     * The tree can be inspected or transformed before passing it to renderAst()
+     * @param {string} markdown - The markdown content to parse
+     * @returns {DocumentNode} The document node
+     */
+    parse(markdown) {
+        const processedMarkdown = this._preProcessMarkdown(markdown || '');
+        let ast;
+        
         try {
-            const markdown = await fsPromises.readFile(filePath, 'utf8');
-            return this.render(markdown);
+            ast = parseMarkdown(processedMarkdown, this._marked, {
+                onWarning: warning => this._warn(warning),
+                inlinePositions: this.options.sourcePositions
+            });
         } catch (error) {
-            console.error('Error reading markdown file:', error);
-            throw error;
+            if (error instanceof MarkdownRenderError) throw error;
+            throw new ParseError(`Could not parse markdown: ${error.message}`, { cause: error });
+        }
+        
+        return this._runHook('transformAst', ast);
+    }
+    
+    /**
+     * Render an AST produced by parse() to HTML (phase two)
+     * With the sanitize option the final HTML, including KaTeX and Prism
+     * output, is filtered through the allowlist as the very last step
+     * @param {DocumentNode} ast - The document node
+     * @returns {string} The rendered HTML
+     */
+    renderAst(ast) {
+        // Languages of the code blocks are loaded on demand (synchronously in Node)
+        if (this.options.loadLanguages && ast && Array.isArray(ast.codeLanguages)) {
+            loadPrismLanguages(ast.codeLanguages);
+        }
+        
+        const html = this._runHook('postprocess', renderToHtml(ast, this._marked));
+        getLanguageWarnings(ast).forEach(warning => this._warn(warning));
+        
+        return this._sanitize(html);
+    }
+    
+    /**
+     * Filter HTML through the allowlist when the sanitize option is set
+     * @private
+     * @param {string} html - The rendered HTML
+     * @returns {string} The HTML to return
+     */
+    _sanitize(html) {
+        if (!this.options.sanitize) return html;
+        
+        const allowlist = typeof this.options.sanitize === 'object' ? this.options.sanitize : {};
+        return sanitizeHtml(html, allowlist);
+    }
+    
+    /**
+     * Render markdown to HTML with mermaid diagrams as inline SVG
+     * For static sites, emails and PDFs where no browser runs mermaid.
+     * Diagrams are drawn by the mermaidRenderer option, or by mermaid itself
+     * when a DOM is available; invalid diagrams become error boxes. Without
+     * either, diagrams stay <div class="mermaid"> for the browser and a
+     * diagram warning is reported (a DiagramError in strict mode)
+     * @param {string} markdown - The markdown content to render
+     * @returns {Promise<string>} The rendered HTML
+     */
+    async renderAsync(markdown) {
+        if (!markdown) return '';
+        
+        const ast = this.parse(markdown);
+        
+        if (this.options.loadLanguages) {
+            await loadPrismLanguagesAsync(ast.codeLanguages);
         }
+        
+        const svgs = await renderMermaidDiagrams(ast, this.options.mermaidRenderer);
+        
+        ast.mermaidDiagrams.forEach(({ path }) => {
+            const { diagram, position } = getTokenAtPath(ast.children, path);
+            if (diagram.status !== 'rendered') {
+                this._warn({
+                    type: 'diagram',
+                    message: getDiagramMessage(diagram),
+                    line: position ? position.start.line : null,
+                    column: position ? position.start.column : null
+                });
+            }
+        });
+        
+        return insertMermaidSvgs(this.renderAst(ast), svgs);
     }
     
     /**
      * Render markdown to HTML using the AST approach
+     * In strict mode errors are thrown; otherwise a failed render is passed
+     * to the logger and returned as an error box
      * @param {string} markdown - The markdown content to render
      * @returns {string} The rendered HTML
      */
@@ -447,23 +741,187 @@ class MarkdownRenderer {
         if (!markdown) return '';
         
         try {
-            // Pre-process the markdown
-            const processedMarkdown = this._preProcessMarkdown(markdown);
-            
-            // Parse the markdown into an AST
-            const ast = parseMarkdown(processedMarkdown);
-            
-            // Get information about the AST
-            const astInfo = this._getAstInfo(ast);
-            
-            // Render the AST to HTML
-            const html = renderToHtml(ast);
-            
-            return html;
+            return this.renderAst(this.parse(markdown));
+        } catch (error) {
+            return this._renderError(error);
+        }
+    }
+    
+    /**
+     * Handle an error thrown while rendering
+     * @private
+     * @param {Error} error - The error
+     * @returns {string} The error box, unless in strict mode, where the error is rethrown
+     */
+    _renderError(error) {
+        if (this.options.strict) throw error;
+        
+        if (this.options.logger) {
+            this.options.logger.error(`Error rendering markdown: ${error.message}`);
+        }
+        return `<div class="error">Error rendering markdown: ${escapeHtml(error.message)}</div>`;
+    }
+    
+    /**
+     * Render a new version of a document, reusing the HTML of unchanged blocks
+     * For live previews that render on every keystroke. The document is
+     * parsed again, but each top-level block is keyed by a hash of its
+     * tokens and only blocks whose key is not in the previous result are
+     * rendered; KaTeX and Prism output is memoized as well. Warnings are
+     * reported for the blocks that were rendered.
+     * The HTML is that of render() with a data-block-key attribute on each
+     * block (text-only blocks are wrapped in a <div>), so the patches can
+     * be applied to the DOM with applyPatches()
+     * @param {UpdateResult|null} previous - The last result of update() on this renderer, or null
+     * @param {string} markdown - The new markdown
+     * @returns {UpdateResult} The new HTML and blocks, and the patches from the previous result
+     */
+    update(previous, markdown) {
+        const cache = new Map((previous ? previous.blocks : []).map(block => [block.key, block.html]));
+        let blocks;
+        
+        try {
+            blocks = this._renderBlocks(this.parse(markdown || ''), cache);
         } catch (error) {
-            console.error('Error rendering markdown:', error);
-            return `<div class="error">Error rendering markdown: ${error.message}</div>`;
+            const key = `error-${hashString(error.message)}`;
+            blocks = [{ key, html: annotateBlock(this._renderError(error), key) }];
         }
+        
+        return {
+            markdown: markdown || '',
+            html: blocks.map(block => block.html).join(''),
+            blocks,
+            patches: diffBlocks(previous ? previous.blocks : [], blocks)
+        };
+    }
+    
+    /**
+     * Render the top-level blocks of a document, taking unchanged ones from a cache
+     * Identical blocks, such as two "---" rules, get numbered keys
+     * @private
+     * @param {DocumentNode} ast - The document node
+     * @param {Map<string, string>} cache - Block HTML by key
+     * @returns {Array<{key: string, html: string}>} The non-empty blocks
+     */
+    _renderBlocks(ast, cache) {
+        if (this.options.loadLanguages && Array.isArray(ast.codeLanguages)) {
+            loadPrismLanguages(ast.codeLanguages);
+        }
+        
+        const occurrences = new Map();
+        const blocks = [];
+        
+        ast.children.forEach(token => {
+            const signature = getBlockSignature(token, { positions: this.options.sourcePositions });
+            const count = occurrences.get(signature) || 0;
+            occurrences.set(signature, count + 1);
+            
+            const key = count ? `${signature}-${count}` : signature;
+            const html = cache.has(key) ? cache.get(key) : this._renderBlock(ast, token, key);
+            if (html) {
+                blocks.push({ key, html });
+            }
+        });
+        
+        return blocks;
+    }
+    
+    /**
+     * Render one top-level token the way renderAst() renders a document
+     * @private
+     * @param {DocumentNode} ast - The document the token belongs to
+     * @param {Object} token - The top-level token
+     * @param {string} key - The block key
+     * @returns {string} The annotated HTML, or '' if the token renders nothing
+     */
+    _renderBlock(ast, token, key) {
+        const block = { ...ast, children: [token] };
+        const html = this._runHook('postprocess', renderToHtml(block, this._marked));
+        getLanguageWarnings(block).forEach(warning => this._warn(warning));
+        
+        const output = this._sanitize(html);
+        return output.trim() ? annotateBlock(output, key) : '';
+    }
+    
+    /**
+     * Render markdown to HTML and return its front matter alongside
+     * @param {string} markdown - The markdown content, optionally starting with front matter
+     * @returns {{html: string, frontMatter: Object|null}} The rendered HTML and the front matter data
+     */
+    renderDocument(markdown) {
+        const ast = this.parse(markdown);
+        return { html: this.renderAst(ast), frontMatter: ast.frontMatter };
+    }
+    
+    /**
+     * Render markdown to HTML and describe the result
+     * The info lists the client assets the HTML needs, statistics such as
+     * word count and reading time, the headings, links and images, and
+     * warnings for problems that did not stop rendering
+     * @param {string} markdown - The markdown content to render
+     * @returns {{html: string, frontMatter: Object|null, info: Object}} The HTML, front matter and info
+     */
+    renderWithInfo(markdown) {
+        this._collectedWarnings = [];
+        
+        try {
+            const ast = this.parse(markdown);
+            const html = this.renderAst(ast);
+            return { html, frontMatter: ast.frontMatter, info: this._getRenderInfo(ast, this._collectedWarnings) };
+        } finally {
+            this._collectedWarnings = null;
+        }
+    }
+    
+    /**
+     * Render markdown to a complete HTML document
+     * The page includes the KaTeX stylesheet and fonts, a Prism theme and
+     * mermaid only when the document needs them, plus light and dark styles
+     * @param {string} markdown - The markdown content to render
+     * @param {Object} options - Page options
+     * @param {string} [options.title] - Page title, defaults to the front matter title or the first heading
+     * @param {string} [options.theme] - 'light', 'dark' or 'auto' (follows the system setting)
+     * @param {boolean} [options.inlineAssets] - Embed KaTeX, Prism and mermaid so the file works offline (Node only)
+     * @returns {string} The HTML document
+     */
+    renderStandalone(markdown, { title, theme = 'auto', inlineAssets = false } = {}) {
+        const { html, frontMatter, info } = this.renderWithInfo(markdown);
+        const pageTitle = title
+            || (frontMatter && frontMatter.title)
+            || (info.headings[0] && info.headings[0].text)
+            || 'Document';
+        
+        return renderStandalonePage(html, {
+            title: String(pageTitle),
+            theme,
+            inlineAssets,
+            hasMath: info.hasMath,
+            hasHighlighting: info.hasHighlighting,
+            hasMermaid: info.hasMermaid
+        });
+    }
+    
+    /**
+     * Get the table of contents of a document
+     * @param {string} markdown - The markdown content
+     * @returns {Array<TocEntry>} Nested entries, with the same ids as the rendered headings
+     */
+    getToc(markdown) {
+        return this.parse(markdown).toc;
+    }
+    
+    /**
+     * Tick or untick a task list item
+     * @param {string} markdown - The markdown content
+     * @param {number} index - The item's index, as in data-task-index and ast.tasks
+     * @returns {string} The markdown with the item's [ ] or [x] flipped
+     */
+    toggleTask(markdown, index) {
+        const task = this.parse(markdown).tasks[index];
+        if (!task) {
+            throw new RangeError(`No task with index ${index}`);
+        }
+        return toggleTaskInSource(markdown, task);
     }
     
     /**
@@ -480,7 +938,108 @@ class MarkdownRenderer {
             tokenCount: ast.children ? ast.children.length : 0
         };
     }
+    
+    /**
+     * Get the info returned by renderWithInfo(), once the AST has been rendered
+     * @private
+     * @param {DocumentNode} ast - The rendered AST
+     * @param {Array<Object>} warnings - Warnings reported while parsing and rendering
+     * @returns {Object} The AST info plus assets, statistics and warnings
+     */
+    _getRenderInfo(ast, warnings) {
+        const info = this._getAstInfo(ast);
+        const hasHighlighting = info.codeLanguages.some(language =>
+            !MATH_LANGUAGES.includes(language) && isPrismLanguageLoaded(language));
+        
+        return {
+            ...info,
+            hasHighlighting,
+            assets: getRequiredAssets({ hasMath: info.hasMath, hasMermaid: info.hasMermaid, hasHighlighting }),
+            ...getDocumentStats(ast),
+            warnings: warnings.map(({ cause, ...warning }) => warning)
+        };
+    }
+}
+
+/**
+ * Parse markdown into an AST with a new renderer
+ * @param {string} markdown - The markdown content to parse
+ * @param {Object} options - MarkdownRenderer options
+ * @returns {DocumentNode} The document node
+ */
+function parse(markdown, options = {}) {
+    return new MarkdownRenderer(options).parse(markdown);
+}
+
+/**
+ * Render an AST to HTML with a new renderer
+ * @param {DocumentNode} ast - The document node
+ * @param {Object} options - MarkdownRenderer options
+ * @returns {string} The rendered HTML
+ */
+function renderAst(ast, options = {}) {
+    return new MarkdownRenderer(options).renderAst(ast);
+}
+
+/**
+ * Tick or untick a task list item with a new renderer
+ * @param {string} markdown - The markdown content
+ * @param {number} index - The item's index, as in data-task-index and ast.tasks
+ * @param {Object} options - MarkdownRenderer options
+ * @returns {string} The markdown with the item's [ ] or [x] flipped
+ */
+function toggleTask(markdown, index, options = {}) {
+    return new MarkdownRenderer(options).toggleTask(markdown, index);
+}
+
+/**
+ * Build a static site from a folder of markdown
+ * Every .md file becomes an HTML page with a navigation sidebar built from
+ * the directory structure and front matter (title, order, nav: false).
+ * Relative .md links are rewritten to .html, referenced images are copied
+ * and search-index.json is written. [[Wiki-links]] resolve to pages by
+ * path, title or file name, and each page lists the pages linking to it.
+ * Broken links, anchors and images are returned and reported to the
+ * onWarning option.
+ * @param {string} srcDir - Directory with the markdown files
+ * @param {string} outDir - Directory to write the site to
+ * @param {Object} options - MarkdownRenderer options, plus theme, inlineAssets and backlinks for the pages
+ * @returns {Promise<Object>} { pages, images, brokenLinks }
+ */
+async function buildSite(srcDir, outDir, options = {}) {
+    const { theme, inlineAssets, backlinks, ...rendererOptions } = options;
+    const site = {};
+    const renderer = new MarkdownRenderer({
+        wikiLinkResolver: siteWikiLinkResolver(site),
+        ...rendererOptions,
+        plugins: [...(rendererOptions.plugins || []), siteLinksPlugin(site)]
+    });
+    
+    const result = await buildSiteFiles(renderer, site, srcDir, outDir, { theme, inlineAssets, backlinks });
+    
+    // Unresolved wiki-links were already reported while rendering
+    result.brokenLinks.filter(link => link.type !== 'wiki-link').forEach(link => {
+        renderer._warn({ type: 'link', message: `${link.page}: ${link.message} (${link.href})`, line: link.line, column: link.column });
+    });
+    
+    return result;
 }
 
 // Export the class as default export
-export default MarkdownRenderer; 
\ No newline at end of file
+export default MarkdownRenderer;
+export {
+    MarkdownRenderer,
+    AST_VERSION,
+    parse,
+    renderAst,
+    toggleTask,
+    lookupNode,
+    applyPatches,
+    buildSite,
+    sanitizeHtml,
+    DEFAULT_SANITIZE_OPTIONS,
+    MarkdownRenderError,
+    MathRenderError,
+    DiagramError,
+    ParseError
+}; 
\ No newline at end of file
@@ -0,0 +1,89 @@
+import { escapeHtml, walkTokens } from '../utils.js';
+
+/**
+ * Block extension for abbreviation definitions: *[HTML]: Hyper Text Markup Language
+ * The definition itself renders as nothing
+ */
+const abbreviationExtension = {
+  name: 'abbreviation',
+  level: 'block',
+  tokenizer(src) {
+    const match = /^ {0,3}\*\[([^\]\n]+)\]:[ \t]*([^\n]*)(?:\n+|$)/.exec(src);
+    if (match) {
+      return {
+        type: 'abbreviation',
+        raw: match[0],
+        abbr: match[1].trim(),
+        title: match[2].trim()
+      };
+    }
+  },
+  renderer() {
+    return '';
+  }
+};
+
+/**
+ * Split a text token around the abbreviations it contains
+ * @returns {Array<Object>} - Text and abbr tokens
+ */
+function splitText(token, pattern, titles) {
+  const parts = token.text.split(pattern);
+  if (parts.length === 1) return [token];
+  
+  // split() with a capture group alternates text and matched abbreviations
+  return parts.flatMap((part, index) => {
+    if (index % 2 === 0) {
+      return part ? [{ ...token, raw: part, text: part }] : [];
+    }
+    return [{
+      type: 'abbr',
+      raw: part,
+      text: part,
+      title: titles.get(part),
+      tokens: [{ ...token, raw: part, text: part }]
+    }];
+  });
+}
+
+/**
+ * Wrap the defined abbreviations in the text of a document
+ * Definitions apply to the whole document, wherever they are written
+ */
+function applyAbbreviations(ast) {
+  const titles = new Map();
+  walkTokens(ast.children, token => {
+    if (token.type === 'abbreviation') titles.set(token.abbr, token.title);
+  });
+  if (titles.size === 0) return;
+  
+  // Longest first, so "HTML5" wins over "HTML"
+  const names = [...titles.keys()].sort((a, b) => b.length - a.length);
+  const escaped = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(${escaped.join('|')})(?![\\p{L}\\p{N}_])`, 'u');
+  
+  walkTokens(ast.children, token => {
+    if (!token.tokens || token.type === 'abbr') return;
+    token.tokens = token.tokens.flatMap(child =>
+      child.type === 'text' && !child.tokens ? splitText(child, pattern, titles) : [child]);
+  });
+}
+
+/**
+ * Built-in plugin for PHP Markdown Extra abbreviations
+ * Every occurrence of a defined abbreviation is wrapped in <abbr title>
+ * @returns {Object} The plugin
+ */
+export default function abbreviationsPlugin() {
+  return {
+    name: 'abbreviations',
+    extensions: [abbreviationExtension],
+    transformAst: applyAbbreviations,
+    renderers: {
+      abbr({ title, tokens }) {
+        const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+        return `<abbr${titleAttribute}>${this.parser.parseInline(tokens)}</abbr>`;
+      }
+    }
+  };
+}
@@ -0,0 +1,141 @@
+import { escapeHtml, renderAttributes } from '../utils.js';
+
+// One #id, .class or key=value entry of an attribute block
+const ATTRIBUTE = String.raw`(?:#[\w:-]+|\.[\w-]+|[\w-]+=(?:"[^"\n]*"|'[^'\n]*'|[^\s"'}]+))`;
+const ATTRIBUTE_BLOCK = new RegExp(String.raw`^\{[ \t]*(${ATTRIBUTE}(?:[ \t]+${ATTRIBUTE})*)[ \t]*\}`);
+
+// Block tokens that take the attribute block ending their text
+const BLOCK_TYPES = ['heading', 'paragraph'];
+
+/**
+ * Parse the inside of an attribute block: #id .class key=value key="a value"
+ * Event handler attributes (on*) are dropped, as sanitize() drops them
+ * @param {string} source - The text between the braces
+ * @returns {Object} - { id, class, ...others }, with classes joined by spaces
+ */
+export function parseAttributes(source) {
+  let id = null;
+  const classes = [];
+  const others = {};
+  
+  for (const [part] of source.matchAll(new RegExp(ATTRIBUTE, 'g'))) {
+    if (part[0] === '#') {
+      id = part.slice(1);
+    } else if (part[0] === '.') {
+      classes.push(part.slice(1));
+    } else {
+      const index = part.indexOf('=');
+      const name = part.slice(0, index);
+      if (name.toLowerCase().startsWith('on')) continue;
+      others[name] = part.slice(index + 1).replace(/^(["'])([\s\S]*)\1$/, '$2');
+    }
+  }
+  
+  if (others.class) {
+    classes.unshift(others.class);
+    delete others.class;
+  }
+  
+  return {
+    ...(id ? { id } : {}),
+    ...(classes.length ? { class: classes.join(' ') } : {}),
+    ...others
+  };
+}
+
+const attributesExtension = {
+  name: 'attributes',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('{');
+    return index >= 0 ? index : undefined;
+  },
+  tokenizer(src) {
+    const match = ATTRIBUTE_BLOCK.exec(src);
+    if (match) {
+      return {
+        type: 'attributes',
+        raw: match[0],
+        attributes: parseAttributes(match[1])
+      };
+    }
+  },
+  renderer(token) {
+    // Attribute blocks that do not follow an image or end a heading or
+    // paragraph are left as text
+    return escapeHtml(token.raw);
+  }
+};
+
+/**
+ * Move attribute blocks onto the tokens they apply to
+ * A block right after an image applies to the image; one ending a heading or
+ * paragraph applies to the heading or paragraph. A heading's #id replaces
+ * its generated id.
+ */
+function applyAttributes(token) {
+  if (!token.tokens || token.type === 'attributes') return;
+  const children = token.tokens;
+  
+  for (let index = children.length - 1; index > 0; index--) {
+    if (children[index].type === 'attributes' && children[index - 1].type === 'image') {
+      children[index - 1].attributes = children[index].attributes;
+      children.splice(index, 1);
+    }
+  }
+  
+  const last = children[children.length - 1];
+  if (!BLOCK_TYPES.includes(token.type) || !last || last.type !== 'attributes' || children.length === 1) return;
+  
+  children.pop();
+  const previous = children[children.length - 1];
+  if (previous.type === 'text') {
+    previous.text = previous.text.trimEnd();
+    previous.raw = previous.raw.trimEnd();
+  }
+  if (token.text.endsWith(last.raw)) {
+    token.text = token.text.slice(0, -last.raw.length).trimEnd();
+  }
+  
+  const { id, ...attributes } = last.attributes;
+  if (token.type === 'heading') {
+    if (id) token.id = id;
+    token.attributes = attributes;
+  } else {
+    token.attributes = last.attributes;
+  }
+}
+
+/**
+ * Built-in plugin for {#id .class key=value} attribute blocks on headings,
+ * images and paragraphs
+ * Heading attributes are rendered by the headings plugin, and images are
+ * rendered here whether they have attributes or not
+ * @returns {Object} The plugin
+ */
+export default function attributesPlugin() {
+  return {
+    name: 'attributes',
+    marked: { walkTokens: applyAttributes },
+    extensions: [attributesExtension],
+    renderers: {
+      paragraph(token) {
+        if (!token.attributes) return false;
+        return `<p${renderAttributes(token.attributes)}>${this.parser.parseInline(token.tokens)}</p>\n`;
+      },
+      // Every image is rendered here: marked's own renderer writes the alt text unescaped
+      image({ href, title, text, attributes }) {
+        let src;
+        try {
+          // Encoded like marked does, so spaces and non-ASCII become %XX
+          src = encodeURI(href).replace(/%25/g, '%');
+        } catch {
+          return escapeHtml(text);
+        }
+        
+        const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+        return `<img src="${escapeHtml(src)}" alt="${escapeHtml(text)}"${titleAttribute}${renderAttributes(attributes)}>`;
+      }
+    }
+  };
+}
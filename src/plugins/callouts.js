@@ -0,0 +1,150 @@
+import { escapeHtml } from '../utils.js';
+
+/**
+ * Built-in callout types: GitHub's five alerts plus the usual container names
+ * Each has a default title and the content of its icon slot
+ */
+export const DEFAULT_CALLOUTS = {
+  note: { title: 'Note', icon: 'ℹ️' },
+  tip: { title: 'Tip', icon: '💡' },
+  important: { title: 'Important', icon: '❗' },
+  warning: { title: 'Warning', icon: '⚠️' },
+  caution: { title: 'Caution', icon: '🛑' },
+  info: { title: 'Info', icon: 'ℹ️' },
+  danger: { title: 'Danger', icon: '🛑' },
+  details: { title: 'Details', icon: '', collapsible: true }
+};
+
+/**
+ * Work out whether a callout folds, from its +/- marker or its type
+ * "+" is collapsible and open, "-" collapsible and closed
+ * @returns {Object} - { collapsible, open }
+ */
+function getCollapse(marker, definition) {
+  if (marker === '+') return { collapsible: true, open: true };
+  if (marker === '-') return { collapsible: true, open: false };
+  return { collapsible: Boolean(definition.collapsible), open: false };
+}
+
+/**
+ * Create the callout token shared by both syntaxes
+ */
+function createCalloutToken(lexer, { raw, syntax, name, marker, title, body }, definition) {
+  const text = title.trim() || definition.title || name;
+  
+  // Like a blockquote, the content gets paragraphs even inside a list item
+  const top = lexer.state.top;
+  lexer.state.top = true;
+  const tokens = lexer.blockTokens(body, []);
+  lexer.state.top = top;
+  
+  return {
+    type: 'callout',
+    raw,
+    syntax,
+    calloutType: name,
+    title: text,
+    hasCustomTitle: Boolean(title.trim()),
+    ...getCollapse(marker, definition),
+    titleTokens: lexer.inlineTokens(text),
+    tokens
+  };
+}
+
+/**
+ * GitHub alerts: a blockquote whose first line is [!TYPE]
+ * Obsidian's extensions are supported too: a title after the marker and
+ * [!TYPE]+ / [!TYPE]- for collapsible callouts
+ */
+function createAlertExtension(callouts) {
+  return {
+    name: 'callout',
+    level: 'block',
+    tokenizer(src) {
+      const match = /^ {0,3}> ?\[!([\w-]+)\]([+-]?)[ \t]*([^\n]*)(?:\n|$)((?: {0,3}>[^\n]*(?:\n|$))*)\n*/.exec(src);
+      if (!match) return;
+      
+      const name = match[1].toLowerCase();
+      const definition = callouts[name];
+      if (!definition) return;
+      
+      const body = match[4].split('\n').map(line => line.replace(/^ {0,3}> ?/, '')).join('\n');
+      return createCalloutToken(this.lexer, {
+        raw: match[0], syntax: 'alert', name, marker: match[2], title: match[3], body
+      }, definition);
+    }
+  };
+}
+
+/**
+ * Containers: ":::type Title" up to a closing ":::"
+ * Use more colons on the outer fence to nest containers; ":::type+" and
+ * ":::type-" are collapsible
+ */
+function createContainerExtension(callouts) {
+  return {
+    name: 'calloutContainer',
+    level: 'block',
+    tokenizer(src) {
+      const match = /^ {0,3}(:{3,})[ \t]*([\w-]+)([+-]?)[ \t]*([^\n]*)\n(?:([\s\S]*?)\n)? {0,3}\1[ \t]*(?:\n+|$)/.exec(src);
+      if (!match) return;
+      
+      const name = match[2].toLowerCase();
+      const definition = callouts[name];
+      if (!definition) return;
+      
+      return createCalloutToken(this.lexer, {
+        raw: match[0], syntax: 'container', name, marker: match[3], title: match[4], body: match[5] || ''
+      }, definition);
+    }
+  };
+}
+
+/**
+ * Default callout markup: a <div>, or <details> when collapsible
+ * @param {Object} token - The callout token
+ * @param {Object} parts - { title, content, icon } as HTML
+ * @returns {string} - HTML output
+ */
+export function renderCallout(token, { title, content, icon }) {
+  const type = escapeHtml(token.calloutType);
+  const attributes = `class="callout callout-${type}" data-callout="${type}"`;
+  const heading = `<span class="callout-icon" aria-hidden="true">${icon}</span><span class="callout-title-text">${title}</span>`;
+  const body = `<div class="callout-content">\n${content}</div>`;
+  
+  if (token.collapsible) {
+    return `<details ${attributes}${token.open ? ' open' : ''}><summary class="callout-title">${heading}</summary>${body}</details>\n`;
+  }
+  
+  return `<div ${attributes}><p class="callout-title">${heading}</p>${body}</div>\n`;
+}
+
+/**
+ * Built-in plugin for GitHub alerts and ::: containers
+ * @param {Object} options - Plugin options
+ * @param {Object} options.callouts - Extra or replaced types, name => { title, icon, collapsible, render }
+ *   where render(token, { title, content, icon }) returns HTML
+ * @returns {Object} The plugin
+ */
+export default function calloutsPlugin({ callouts = {} } = {}) {
+  // No prototype, so names such as "constructor" are not callout types
+  const definitions = Object.assign(Object.create(null), Object.fromEntries(
+    Object.entries({ ...DEFAULT_CALLOUTS, ...callouts }).map(([name, definition]) => [name.toLowerCase(), definition])
+  ));
+  
+  return {
+    name: 'callouts',
+    extensions: [createAlertExtension(definitions), createContainerExtension(definitions)],
+    renderers: {
+      callout(token) {
+        const definition = definitions[token.calloutType] || {};
+        const parts = {
+          title: this.parser.parseInline(token.titleTokens),
+          content: this.parser.parse(token.tokens),
+          icon: definition.icon || ''
+        };
+        return (definition.render || renderCallout)(token, parts);
+      }
+    }
+  };
+}
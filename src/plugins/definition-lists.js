@@ -0,0 +1,158 @@
+const DEFINITION_START = /^ {0,3}:[ \t]+/;
+
+// Lines that start another kind of block and so cannot be terms: code fences,
+// ATX headings, list items, blockquotes, table rows, HTML blocks and indented code
+const NOT_A_TERM = /^(?: {0,3}(?:`{3,}|~{3,}|#{1,6}(?:[ \t]|$)|[-+*][ \t]|\d{1,9}[.)][ \t]|>|\||<[a-zA-Z/!?])| {4}|\t)/;
+
+/**
+ * Read the line starting at an offset
+ * @returns {Object|null} - { line, next } where next is the offset of the following line, or null at the end
+ */
+function readLine(src, offset) {
+  if (offset >= src.length) return null;
+  const end = src.indexOf('\n', offset);
+  return end < 0
+    ? { line: src.slice(offset), next: src.length }
+    : { line: src.slice(offset, end), next: end + 1 };
+}
+
+const isBlank = entry => !entry || !entry.line.trim();
+
+/**
+ * Read one definition, from its ": " line to the last line belonging to it
+ * Lines right after it continue it, as do indented lines after blank lines,
+ * which make the definition loose (its paragraphs get <p> tags)
+ * @returns {Object} - { text, loose, next }
+ */
+function readDefinition(src, offset, loose) {
+  const first = readLine(src, offset);
+  const lines = [first.line.replace(DEFINITION_START, '')];
+  let position = first.next;
+  
+  while (true) {
+    const entry = readLine(src, position);
+    if (!entry) break;
+    
+    if (!isBlank(entry)) {
+      // As in PHP Markdown Extra, the next term needs a blank line before it
+      if (DEFINITION_START.test(entry.line)) break;
+      lines.push(entry.line.replace(/^(?: {1,4}|\t)/, ''));
+      position = entry.next;
+      continue;
+    }
+    
+    let next = entry.next;
+    const blanks = [''];
+    let after = readLine(src, next);
+    while (after && isBlank(after)) {
+      blanks.push('');
+      next = after.next;
+      after = readLine(src, next);
+    }
+    
+    if (!after || !/^(?: {2,}|\t)\S/.test(after.line)) break;
+    lines.push(...blanks);
+    loose = true;
+    position = next;
+  }
+  
+  return { text: lines.join('\n'), loose, next: position };
+}
+
+/**
+ * Block extension for PHP Markdown Extra definition lists
+ *
+ *     Term
+ *     Another term
+ *     : Definition
+ *     : Another definition
+ *
+ * Items alternate between definitionTerm and definitionDescription tokens
+ */
+const definitionListExtension = {
+  name: 'definitionList',
+  level: 'block',
+  childTokens: ['items'],
+  tokenizer(src) {
+    const items = [];
+    let position = 0;
+    let end = 0;
+    
+    while (true) {
+      const terms = [];
+      let entry = readLine(src, position);
+      while (!isBlank(entry) && !DEFINITION_START.test(entry.line)) {
+        // Terms are plain paragraph text
+        if (NOT_A_TERM.test(entry.line)) break;
+        terms.push(entry.line.trim());
+        position = entry.next;
+        entry = readLine(src, position);
+      }
+      
+      // A blank line between the terms and the first definition makes it loose
+      let loose = false;
+      while (terms.length > 0 && entry && isBlank(entry)) {
+        loose = true;
+        position = entry.next;
+        entry = readLine(src, position);
+      }
+      
+      if (terms.length === 0 || !entry || !DEFINITION_START.test(entry.line)) break;
+      
+      terms.forEach(term => items.push({ type: 'definitionTerm', raw: term, text: term, tokens: this.lexer.inlineTokens(term) }));
+      
+      while (entry && DEFINITION_START.test(entry.line)) {
+        const definition = readDefinition(src, position, loose);
+        
+        const top = this.lexer.state.top;
+        this.lexer.state.top = definition.loose;
+        items.push({
+          type: 'definitionDescription',
+          raw: definition.text,
+          text: definition.text,
+          loose: definition.loose,
+          tokens: this.lexer.blockTokens(definition.text, [])
+        });
+        this.lexer.state.top = top;
+        
+        // Skip blank lines; another definition after them is loose
+        position = definition.next;
+        end = position;
+        loose = false;
+        entry = readLine(src, position);
+        while (entry && isBlank(entry)) {
+          loose = true;
+          position = entry.next;
+          entry = readLine(src, position);
+        }
+      }
+      
+      end = position;
+    }
+    
+    if (items.length === 0) return;
+    
+    return {
+      type: 'definitionList',
+      raw: src.slice(0, end),
+      items
+    };
+  },
+  renderer(token) {
+    const body = token.items.map(item => item.type === 'definitionTerm'
+      ? `<dt>${this.parser.parseInline(item.tokens)}</dt>\n`
+      : `<dd>${this.parser.parse(item.tokens, item.loose).trimEnd()}</dd>\n`);
+    return `<dl>\n${body.join('')}</dl>\n`;
+  }
+};
+
+/**
+ * Built-in plugin for definition lists
+ * @returns {Object} The plugin
+ */
+export default function definitionListsPlugin() {
+  return {
+    name: 'definitionLists',
+    extensions: [definitionListExtension]
+  };
+}
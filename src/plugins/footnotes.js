@@ -0,0 +1,33 @@
+import markedFootnote from 'marked-footnote';
+import { walkTokens } from '../utils.js';
+
+/**
+ * Number the footnote references of a document in order, 1, 2, ...
+ * marked-footnote counts across documents and only resets its counter when
+ * it renders a reference, so a document parsed but not rendered, as by
+ * getToc() or buildSite(), would shift the numbers of the next one
+ * @param {DocumentNode} ast - The document node
+ */
+export function numberFootnotes(ast) {
+  const numbers = new Map();
+  
+  walkTokens(ast.children, token => {
+    if (token.type !== 'footnoteRef') return;
+    if (!numbers.has(token.label)) {
+      numbers.set(token.label, String(numbers.size + 1));
+    }
+    token.id = numbers.get(token.label);
+  }, { footnote: ['content'] });
+}
+
+/**
+ * Built-in plugin for footnotes, backed by marked-footnote
+ * @returns {Object} The plugin
+ */
+export default function footnotesPlugin() {
+  return {
+    name: 'footnotes',
+    marked: markedFootnote(),
+    transformAst: numberFootnotes
+  };
+}
@@ -0,0 +1,174 @@
+import { escapeHtml, renderAttributes, walkTokens } from '../utils.js';
+
+/**
+ * Create a slugger that turns heading text into GitHub-compatible ids and
+ * de-duplicates them per document: intro, intro-1, intro-2
+ * @param {Array<string>} [reserved] - Ids already taken, which are never generated
+ * @returns {function(string): string} - Returns the next unique slug for a text
+ */
+export function createSlugger(reserved = []) {
+  const occurrences = new Map(reserved.map(id => [id, 0]));
+  
+  return text => {
+    // Same rules as GitHub: lowercase, drop punctuation and symbols, spaces to dashes
+    const base = text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '').replace(/ /g, '-') || 'section';
+    let slug = base;
+    
+    while (occurrences.has(slug)) {
+      const count = occurrences.get(base) + 1;
+      occurrences.set(base, count);
+      slug = `${base}-${count}`;
+    }
+    
+    occurrences.set(slug, 0);
+    return slug;
+  };
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the character references marked leaves in text tokens
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (match, decimal, hex, name) => {
+    if (decimal) return String.fromCodePoint(Number(decimal) % 0x110000);
+    if (hex) return String.fromCodePoint(parseInt(hex, 16) % 0x110000);
+    return ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Get the text of inline tokens without any formatting
+ */
+function getPlainText(tokens) {
+  return tokens.map(token => {
+    if (token.type === 'html') return '';
+    if (token.type === 'br') return ' ';
+    if (token.tokens && token.type !== 'image') return getPlainText(token.tokens);
+    return token.type === 'text' ? decodeEntities(token.text) : token.text || '';
+  }).join('');
+}
+
+/**
+ * Give every heading an id and collect the table of contents
+ * Headings that already have an id keep it, and generated ids avoid those.
+ * [[toc]] placeholders get the finished table as `entries`.
+ * @param {Array<Object>} tokens - The top-level tokens
+ * @returns {Array<Object>} - Nested { depth, text, id, children } entries
+ */
+export function collectHeadings(tokens) {
+  const explicit = [];
+  walkTokens(tokens, token => {
+    if (token.type === 'heading' && token.id) explicit.push(token.id);
+  });
+  
+  const slug = createSlugger(explicit);
+  const headings = [];
+  const placeholders = [];
+  
+  function processToken(token) {
+    if (token.type === 'heading') {
+      const text = getPlainText(token.tokens || []);
+      token.id = token.id || slug(text);
+      headings.push({ depth: token.depth, text, id: token.id, children: [] });
+    } else if (token.type === 'toc') {
+      placeholders.push(token);
+    }
+    
+    if (token.tokens) {
+      token.tokens.forEach(processToken);
+    }
+    
+    if (token.items) {
+      token.items.forEach(processToken);
+    }
+  }
+  
+  tokens.forEach(processToken);
+  
+  const toc = nestHeadings(headings);
+  placeholders.forEach(token => { token.entries = toc; });
+  return toc;
+}
+
+/**
+ * Nest a flat list of headings: each one becomes a child of the closest
+ * earlier heading with a smaller depth
+ */
+function nestHeadings(headings) {
+  const root = { depth: 0, children: [] };
+  const stack = [root];
+  
+  headings.forEach(heading => {
+    while (stack[stack.length - 1].depth >= heading.depth) {
+      stack.pop();
+    }
+    stack[stack.length - 1].children.push(heading);
+    stack.push(heading);
+  });
+  
+  return root.children;
+}
+
+/**
+ * Render table of contents entries as nested lists
+ * @param {Array<Object>} entries - Entries from collectHeadings()
+ * @returns {string} - HTML output
+ */
+export function renderToc(entries) {
+  if (!entries || entries.length === 0) return '';
+  
+  const items = entries.map(entry =>
+    `<li><a href="#${escapeHtml(entry.id)}">${escapeHtml(entry.text)}</a>${renderToc(entry.children)}</li>`
+  );
+  return `<ul>${items.join('')}</ul>`;
+}
+
+/**
+ * Block extension for the [[toc]] placeholder
+ */
+const tocExtension = {
+  name: 'toc',
+  level: 'block',
+  tokenizer(src) {
+    const match = /^ {0,3}\[\[toc\]\][ \t]*(?:\n+|$)/i.exec(src);
+    if (match) {
+      return {
+        type: 'toc',
+        raw: match[0],
+        entries: []
+      };
+    }
+  }
+};
+
+/**
+ * Built-in plugin for heading ids, permalink anchors and the [[toc]] placeholder
+ * @param {Object} options - Plugin options
+ * @param {boolean} options.anchors - Add a permalink anchor to every heading
+ * @returns {Object} The plugin
+ */
+export default function headingsPlugin({ anchors = false } = {}) {
+  return {
+    name: 'headings',
+    extensions: [tocExtension],
+    renderers: {
+      heading({ tokens, depth, id, attributes }) {
+        const content = this.parser.parseInline(tokens);
+        const extra = renderAttributes(attributes);
+        if (!id) {
+          return `<h${depth}${extra}>${content}</h${depth}>\n`;
+        }
+        
+        const anchor = anchors
+          ? `<a class="heading-anchor" href="#${escapeHtml(id)}" aria-label="Permalink: ${escapeHtml(getPlainText(tokens))}">#</a>`
+          : '';
+        return `<h${depth} id="${escapeHtml(id)}"${extra}>${content}${anchor}</h${depth}>\n`;
+      },
+      toc({ entries }) {
+        return `<nav class="toc">${renderToc(entries)}</nav>\n`;
+      }
+    }
+  };
+}
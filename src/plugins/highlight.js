@@ -0,0 +1,164 @@
+import Prism from 'prismjs';
+import { escapeHtml, hashString, createCache } from '../utils.js';
+import { getPrismGrammar, resolvePrismLanguage } from '../prism-languages.js';
+
+// Prism output by language and content hash
+const highlightCache = createCache(500);
+
+/**
+ * Highlight code with Prism when it has a grammar for the language,
+ * otherwise just escape it
+ * Highlighted output is memoized by content
+ * @param {string} code - The code
+ * @param {string} language - The language name or alias
+ * @returns {string} - HTML output
+ */
+export function highlightCode(code, language) {
+  const grammar = getPrismGrammar(language);
+  if (grammar) {
+    const id = resolvePrismLanguage(language) || language;
+    const key = `${id}:${hashString(code)}`;
+    const cached = highlightCache.get(key);
+    if (cached !== undefined) return cached;
+    
+    const html = Prism.highlight(code, grammar, id);
+    highlightCache.set(key, html);
+    return html;
+  }
+  
+  return escapeHtml(code);
+}
+
+/**
+ * Split highlighted HTML into lines
+ * Prism tokens such as multi-line comments span several lines, so any <span>
+ * still open at a line break is closed there and reopened on the next line
+ * @param {string} html - Highlighted HTML
+ * @returns {Array<string>} - One balanced HTML fragment per line
+ */
+export function splitHighlightedLines(html) {
+  const lines = [];
+  const openTags = [];
+  let current = '';
+  
+  for (const part of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (part === '\n') {
+      lines.push(current + '</span>'.repeat(openTags.length));
+      current = openTags.join('');
+    } else if (part.startsWith('<span')) {
+      openTags.push(part);
+      current += part;
+    } else if (part === '</span>') {
+      openTags.pop();
+      current += part;
+    } else {
+      current += part;
+    }
+  }
+  
+  lines.push(current);
+  return lines;
+}
+
+const NO_META = { title: null, highlightLines: [], showLineNumbers: false, startLine: 1 };
+
+const DIFF_MARKERS = {
+  '+': 'diff-added',
+  '-': 'diff-removed',
+  ' ': 'diff-context'
+};
+
+/**
+ * Get the underlying language of a diff-<lang> fence
+ * @param {string} language - The fence language
+ * @returns {string|null} - The language after "diff-", or null for other fences
+ */
+export function getDiffLanguage(language) {
+  const match = /^diff-(.+)$/i.exec(language || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Highlight a diff-<lang> block: the +, - and space markers are split off and
+ * the remaining code is highlighted as <lang>
+ * Hunk headers (@@ ... @@) and other lines without a marker are not highlighted
+ * @returns {Array<Object>} - { html, className } per line
+ */
+function highlightDiff(code, language) {
+  const lines = code.split('\n').map(line => {
+    const marker = line[0] === undefined ? ' ' : line[0];
+    const className = DIFF_MARKERS[marker];
+    return className
+      ? { marker, className, content: line.slice(1) }
+      : { marker: '', className: line.startsWith('@@') ? 'diff-hunk' : 'diff-meta', content: line };
+  });
+  
+  // Code lines are highlighted together so tokens spanning lines come out right
+  const codeLines = lines.filter(line => line.marker);
+  const highlighted = splitHighlightedLines(highlightCode(codeLines.map(line => line.content).join('\n'), language));
+  codeLines.forEach((line, index) => { line.html = highlighted[index]; });
+  
+  return lines.map(line => ({
+    className: `diff-line ${line.className}`,
+    html: line.marker
+      ? `<span class="diff-marker">${line.marker}</span>${line.html}`
+      : escapeHtml(line.content)
+  }));
+}
+
+/**
+ * Wrap each line of highlighted code for line numbers and highlighted ranges
+ * @param {Array<Object>} lines - { html, className? } per line
+ * @param {Object} meta - The code token's meta
+ * @returns {string} - HTML output
+ */
+function renderCodeLines(lines, meta) {
+  const highlighted = new Set(meta.highlightLines);
+  
+  return lines.map((line, index) => {
+    const number = meta.startLine + index;
+    const classNames = ['code-line', line.className, highlighted.has(index + 1) && 'highlighted'].filter(Boolean);
+    const gutter = meta.showLineNumbers
+      ? `<span class="line-number" aria-hidden="true">${number}</span>`
+      : '';
+    return `<span class="${classNames.join(' ')}" data-line="${number}">${gutter}${line.html}</span>`;
+  }).join('\n');
+}
+
+/**
+ * Built-in plugin that renders code blocks, highlighted with Prism when it
+ * has a grammar for the language
+ * Blocks with a title, highlighted lines or line numbers in their fence
+ * metadata get a filename header and per-line markup, as do diff-<lang> blocks
+ * @returns {Object} The plugin
+ */
+export default function highlightPlugin() {
+  return {
+    name: 'highlight',
+    renderers: {
+      code({ text: code, lang: language, meta = NO_META }) {
+        const langClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+        const diffLanguage = getDiffLanguage(language);
+        const hasMeta = meta.title || meta.showLineNumbers || meta.highlightLines.length > 0;
+        
+        if (!diffLanguage && !hasMeta) {
+          return `<pre><code${langClass}>${highlightCode(code, language)}</code></pre>`;
+        }
+        
+        const lines = diffLanguage
+          ? highlightDiff(code, diffLanguage)
+          : splitHighlightedLines(highlightCode(code, language)).map(html => ({ html }));
+        const preClasses = [diffLanguage && 'diff-highlight', meta.showLineNumbers && 'line-numbers'].filter(Boolean);
+        const pre = preClasses.length ? `<pre class="${preClasses.join(' ')}">` : '<pre>';
+        const block = `${pre}<code${langClass}>${renderCodeLines(lines, meta)}</code></pre>`;
+        
+        if (!hasMeta) {
+          return block;
+        }
+        
+        const title = meta.title ? `<div class="code-title">${escapeHtml(meta.title)}</div>` : '';
+        return `<div class="code-block">${title}${block}</div>`;
+      }
+    }
+  };
+}
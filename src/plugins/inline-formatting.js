@@ -0,0 +1,89 @@
+/**
+ * Inline extension for subscript text: H~2~O
+ * A single tilde only, so GFM ~~strikethrough~~ keeps working
+ */
+const subscriptExtension = {
+  name: 'sub',
+  level: 'inline',
+  start(src) {
+    const match = src.match(/~(?!~)/);
+    return match ? match.index : undefined;
+  },
+  tokenizer(src) {
+    const match = /^~(?!~)((?:\\[\s\S]|[^\s~\\])+?)~(?!~)/.exec(src);
+    if (match) {
+      return {
+        type: 'sub',
+        raw: match[0],
+        text: match[1],
+        tokens: this.lexer.inlineTokens(match[1])
+      };
+    }
+  },
+  renderer(token) {
+    return `<sub>${this.parser.parseInline(token.tokens)}</sub>`;
+  }
+};
+
+/**
+ * Inline extension for superscript text: mc^2^
+ */
+const superscriptExtension = {
+  name: 'sup',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('^');
+    return index >= 0 ? index : undefined;
+  },
+  tokenizer(src) {
+    const match = /^\^((?:\\[\s\S]|[^\s^\\])+?)\^/.exec(src);
+    if (match) {
+      return {
+        type: 'sup',
+        raw: match[0],
+        text: match[1],
+        tokens: this.lexer.inlineTokens(match[1])
+      };
+    }
+  },
+  renderer(token) {
+    return `<sup>${this.parser.parseInline(token.tokens)}</sup>`;
+  }
+};
+
+/**
+ * Inline extension for highlighted text: ==text==
+ */
+const highlightExtension = {
+  name: 'mark',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('==');
+    return index >= 0 ? index : undefined;
+  },
+  tokenizer(src) {
+    const match = /^==(?=[^\s=])([\s\S]*?[^\s\\])==(?!=)/.exec(src);
+    if (match) {
+      return {
+        type: 'mark',
+        raw: match[0],
+        text: match[1],
+        tokens: this.lexer.inlineTokens(match[1])
+      };
+    }
+  },
+  renderer(token) {
+    return `<mark>${this.parser.parseInline(token.tokens)}</mark>`;
+  }
+};
+
+/**
+ * Built-in plugin for subscript, superscript and highlighted text
+ * @returns {Object} The plugin
+ */
+export default function inlineFormattingPlugin() {
+  return {
+    name: 'inline-formatting',
+    extensions: [subscriptExtension, superscriptExtension, highlightExtension]
+  };
+}
@@ -0,0 +1,134 @@
+import katex from 'katex';
+import { escapeHtml, hashString, createCache } from '../utils.js';
+
+export const MATH_LANGUAGES = ['math', 'katex', 'tex'];
+
+// KaTeX output by content hash, so unchanged formulas are not typeset again
+const mathCache = createCache(1000);
+
+/**
+ * Render TeX source with KaTeX
+ * Output is memoized by content; invalid TeX is not cached, so it is
+ * reported on every render
+ * Invalid TeX is rendered in red by KaTeX, as before, after onError has been
+ * told about it; onError may throw to abort rendering instead
+ * @param {string} tex - The TeX source
+ * @param {boolean} displayMode - Render as a display (block) formula
+ * @param {function(Error): void} [onError] - Called with the KaTeX error
+ * @returns {string} - HTML output
+ */
+export function renderMath(tex, displayMode, onError) {
+  const key = `${displayMode ? 'display' : 'inline'}:${hashString(tex)}`;
+  const cached = mathCache.get(key);
+  if (cached !== undefined) return cached;
+  
+  try {
+    const html = katex.renderToString(tex, { displayMode, throwOnError: true });
+    mathCache.set(key, html);
+    return html;
+  } catch (error) {
+    if (onError) onError(error);
+    
+    if (error instanceof katex.ParseError) {
+      return katex.renderToString(tex, { displayMode, throwOnError: false });
+    }
+    return `<code class="math-error">${escapeHtml(tex)}</code>`;
+  }
+}
+
+/**
+ * Inline extension for $...$ and $$...$$ math inside a paragraph
+ * The opening $ must be followed and the closing $ preceded by a non-space,
+ * and the closing $ must not be followed by a digit, so "$5 and $10" stays text
+ */
+const inlineMathExtension = {
+  name: 'inlineMath',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('$');
+    return index >= 0 ? index : undefined;
+  },
+  tokenizer(src) {
+    const display = /^\$\$(?!\$)([\s\S]+?)\$\$/.exec(src);
+    if (display) {
+      return {
+        type: 'inlineMath',
+        raw: display[0],
+        text: display[1].trim(),
+        displayMode: true
+      };
+    }
+    
+    const inline = /^\$(?![\s$])((?:\\[\s\S]|[^\\$`\n])*?[^\s\\`])\$(?!\d)/.exec(src);
+    if (inline) {
+      return {
+        type: 'inlineMath',
+        raw: inline[0],
+        text: inline[1],
+        displayMode: false
+      };
+    }
+  }
+};
+
+/**
+ * Block extension for $$ ... $$ math on lines of its own
+ */
+const blockMathExtension = {
+  name: 'blockMath',
+  level: 'block',
+  start(src) {
+    // marked passes the rest of the document, but only the current paragraph
+    // can be interrupted, and it ends at the next blank line
+    const end = src.search(/\n[ \t]*\n/);
+    const match = (end < 0 ? src : src.slice(0, end)).match(/^ {0,3}\$\$/m);
+    return match ? match.index : undefined;
+  },
+  tokenizer(src) {
+    const match = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/.exec(src);
+    if (match) {
+      return {
+        type: 'blockMath',
+        raw: match[0],
+        text: match[1].trim(),
+        displayMode: true
+      };
+    }
+  }
+};
+
+/**
+ * Built-in plugin for $...$ / $$...$$ math and ```math code blocks, rendered with KaTeX
+ * @param {Object} options - Plugin options
+ * @param {function(Object): void} options.onWarning - Receives { type: 'math', message, line, column }
+ *   for formulas KaTeX cannot render
+ * @returns {Object} The plugin
+ */
+export default function mathPlugin({ onWarning } = {}) {
+  const render = (token, displayMode) => renderMath(token.text, displayMode, onWarning && (error => {
+    onWarning({
+      type: 'math',
+      message: error.message,
+      line: token.position ? token.position.start.line : null,
+      column: token.position ? token.position.start.column : null,
+      cause: error
+    });
+  }));
+  
+  return {
+    name: 'math',
+    extensions: [blockMathExtension, inlineMathExtension],
+    renderers: {
+      inlineMath(token) {
+        return render(token, token.displayMode);
+      },
+      blockMath(token) {
+        return `<div class="math-block">${render(token, true)}</div>\n`;
+      },
+      code(token) {
+        if (!MATH_LANGUAGES.includes(token.lang)) return false;
+        return `<div class="math-block">${render(token, true)}</div>\n`;
+      }
+    }
+  };
+}
@@ -0,0 +1,130 @@
+import mermaid from 'mermaid';
+import { escapeHtml, getTokenAtPath } from '../utils.js';
+
+let diagramCounter = 0;
+
+/**
+ * Default server-side diagram renderer, using mermaid itself
+ * mermaid needs a DOM to lay out diagrams: a browser, or a global document
+ * provided by something like jsdom when running in Node
+ * @param {string} source - The diagram source
+ * @param {Object} context - { id } unique id for the diagram
+ * @returns {Promise<string>} The SVG markup
+ */
+async function renderWithMermaid(source, { id }) {
+  const { svg } = await mermaid.render(id, source);
+  return svg;
+}
+
+// Error box titles: the diagram has invalid syntax, or the renderer failed on it
+const ERROR_TITLES = {
+  syntax: 'Invalid mermaid diagram',
+  render: 'Mermaid diagram could not be rendered'
+};
+
+/**
+ * Describe a diagram that was not rendered, for warnings
+ * @param {Object} diagram - The code token's diagram
+ * @returns {string} - The warning message
+ */
+export function getDiagramMessage(diagram) {
+  if (diagram.status === 'skipped') {
+    return 'Mermaid diagram left for the browser: rendering to SVG needs a DOM (for example jsdom) or the mermaidRenderer option';
+  }
+  return `${ERROR_TITLES[diagram.reason]}: ${diagram.message}`;
+}
+
+/**
+ * Render an error box for a diagram that could not be rendered
+ */
+function renderDiagramError(source, { reason, message }) {
+  return `<div class="mermaid-error" role="alert">` +
+    `<p class="mermaid-error-title">${ERROR_TITLES[reason]}</p>` +
+    `<pre class="mermaid-error-message">${escapeHtml(message)}</pre>` +
+    `<pre><code class="language-mermaid">${escapeHtml(source)}</code></pre></div>`;
+}
+
+/**
+ * Render every diagram in ast.mermaidDiagrams to SVG, one at a time
+ * The result is stored on each code token as `diagram`, which the plugin
+ * renderer turns into a placeholder or an error box. Without a renderer
+ * and a DOM, valid diagrams are 'skipped' and stay <div class="mermaid">
+ * @param {Object} ast - The document node
+ * @param {Function} renderer - async (source, { id, index }) => svg, defaults to mermaid
+ * @returns {Promise<Array<string|null>>} SVG markup per diagram, null for failed ones
+ */
+export async function renderMermaidDiagrams(ast, renderer) {
+  const diagrams = ast.mermaidDiagrams || [];
+  const svgs = [];
+  const canRender = Boolean(renderer) || typeof document !== 'undefined';
+  
+  for (const [index, diagram] of diagrams.entries()) {
+    const token = getTokenAtPath(ast.children, diagram.path);
+    svgs.push(null);
+    
+    // mermaid.parse() works without a DOM, so syntax errors are reported
+    // the same way whichever renderer draws the diagram
+    try {
+      await mermaid.parse(diagram.content);
+    } catch (error) {
+      token.diagram = { index, status: 'error', reason: 'syntax', message: error.message || String(error) };
+      continue;
+    }
+    
+    if (!canRender) {
+      token.diagram = { index, status: 'skipped' };
+      continue;
+    }
+    
+    try {
+      svgs[index] = await (renderer || renderWithMermaid)(diagram.content, { id: `mermaid-svg-${++diagramCounter}`, index });
+      token.diagram = { index, status: 'rendered' };
+    } catch (error) {
+      token.diagram = { index, status: 'error', reason: 'render', message: error.message || String(error) };
+    }
+  }
+  
+  return svgs;
+}
+
+/**
+ * Put the SVG markup into the placeholders left by the plugin renderer
+ * This runs after sanitizing, so the trusted SVG keeps its styles
+ * @param {string} html - Rendered HTML
+ * @param {Array<string|null>} svgs - Result of renderMermaidDiagrams()
+ * @returns {string} HTML with inline SVG diagrams
+ */
+export function insertMermaidSvgs(html, svgs) {
+  return html.replace(/<div class="mermaid-svg" data-diagram="(\d+)"><\/div>/g, (placeholder, index) => {
+    const svg = svgs[Number(index)];
+    return svg ? `<div class="mermaid-svg" data-diagram="${index}">${svg}</div>` : placeholder;
+  });
+}
+
+/**
+ * Built-in plugin for ```mermaid code blocks
+ * Diagrams are emitted as <div class="mermaid"> for mermaid to render in the browser;
+ * the source is escaped, mermaid reads it back as text content. Diagrams already
+ * rendered by renderMermaidDiagrams() become an SVG placeholder or an error box
+ * @returns {Object} The plugin
+ */
+export default function mermaidPlugin() {
+  return {
+    name: 'mermaid',
+    renderers: {
+      code({ text, lang, diagram }) {
+        if (lang !== 'mermaid') return false;
+        
+        if (diagram && diagram.status === 'rendered') {
+          return `<div class="mermaid-svg" data-diagram="${diagram.index}"></div>`;
+        }
+        
+        if (diagram && diagram.status === 'error') {
+          return renderDiagramError(text, diagram);
+        }
+        
+        return `<div class="mermaid">${escapeHtml(text)}</div>`;
+      }
+    }
+  };
+}
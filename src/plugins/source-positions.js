@@ -0,0 +1,176 @@
+import { walkTokens, createPositionLookup } from '../utils.js';
+
+/**
+ * Block tokens that get a data-sourcepos attribute, and that lookupNode() returns
+ * Extension blocks are included; mermaid diagrams and math code blocks are code tokens
+ */
+export const SOURCE_POSITION_TYPES = [
+  'heading', 'paragraph', 'blockquote', 'list', 'list_item', 'code', 'table', 'hr',
+  'blockMath', 'callout', 'definitionList', 'toc', 'youtubeLink'
+];
+
+// Inline tokens that always get a position, because links and images are
+// checked by buildSite() and math and wiki links report warnings
+const REPORTED_INLINE_TYPES = ['link', 'image', 'inlineMath', 'wikiLink'];
+
+// Tokens whose children are inline
+const INLINE_PARENT_TYPES = ['paragraph', 'heading', 'text', 'definitionTerm'];
+
+/**
+ * Record the source range of tokens as token.position, { start, end }
+ * with 1-based { line, column, offset } and an exclusive end
+ * Tokens are visited in document order, so each raw string is searched for
+ * from the end of the previous one, and children only within their parent.
+ * Tokens inside blockquotes and list items have their prefixes and indentation
+ * stripped from raw, so those are matched by their first and last lines.
+ * Tokens that cannot be found, such as the footnotes section, get no position.
+ * Every block token and table cell is located, but of the inline tokens only
+ * links, images, math and wiki links unless options.inline is set.
+ * @param {Array} tokens - Tokens from the lexer
+ * @param {string} source - The markdown the tokens were lexed from
+ * @param {Object} [options] - { inline } to locate every inline token; when the source was
+ *   derived from other markdown, such as by front matter substitution, { original, toOriginal(offset) }
+ *   to report positions in that
+ */
+export function locateTokens(tokens, source = '', { original = source, toOriginal = offset => offset, inline = false } = {}) {
+  const lookup = createPositionLookup(original);
+  const toPosition = offset => lookup(toOriginal(offset));
+  
+  // Search source[from, to) only, so a token that is not there does not
+  // cost a scan to the end of the document
+  const indexOf = (text, from, to) => {
+    if (to - from < text.length) return -1;
+    const index = source.slice(from, to).indexOf(text);
+    return index >= 0 ? from + index : -1;
+  };
+  
+  function find(token, cursor, end) {
+    const raw = (token.raw ?? token.text ?? '').replace(/\n+$/, '');
+    if (!raw.trim()) return null;
+    
+    const offset = indexOf(raw, cursor, end);
+    if (offset >= 0) {
+      return { start: offset, end: offset + raw.length };
+    }
+    
+    const lines = raw.split('\n');
+    const first = lines[0].trimEnd();
+    const last = lines[lines.length - 1].trim();
+    const start = indexOf(first, cursor, end);
+    if (start < 0 || lines.length === 1) return null;
+    
+    const lastStart = last ? indexOf(last, start + first.length, end) : -1;
+    return { start, end: lastStart >= 0 ? lastStart + last.length : start + first.length };
+  }
+  
+  // level is 'block', 'cell' or 'inline'; returns the offset to search the next sibling from
+  function visit(list, from, to, level) {
+    let cursor = from;
+    
+    list.forEach(token => {
+      const located = level !== 'inline' || inline || REPORTED_INLINE_TYPES.includes(token.type);
+      const range = located ? find(token, cursor, to) : null;
+      if (range) {
+        token.position = { start: toPosition(range.start), end: toPosition(range.end) };
+      }
+      
+      const childLevel = level !== 'block' || INLINE_PARENT_TYPES.includes(token.type) ? 'inline' : 'block';
+      const end = range ? Math.max(range.end, range.start + (token.raw || '').length) : to;
+      let childCursor = range ? range.start : cursor;
+      if (Array.isArray(token.titleTokens)) {
+        childCursor = visit(token.titleTokens, childCursor, end, 'inline');
+      }
+      [token.tokens, token.items].forEach(children => {
+        if (Array.isArray(children)) childCursor = visit(children, childCursor, end, childLevel);
+      });
+      if (token.type === 'table') {
+        [token.header, ...token.rows].forEach(row => { childCursor = visit(row, childCursor, end, 'cell'); });
+      }
+      
+      if (range) {
+        cursor = end;
+      }
+    });
+    
+    return cursor;
+  }
+  
+  visit(tokens, 0, source.length, 'block');
+}
+
+/**
+ * Format a position the way CommonMark's --sourcepos does: "3:1-5:12",
+ * where the end column is that of the last character
+ * @param {Object} position - A token's position
+ * @returns {string} - The data-sourcepos value
+ */
+export function formatSourcePos({ start, end }) {
+  const endColumn = Math.max(end.column - 1, 1);
+  return `${start.line}:${start.column}-${end.line}:${endColumn}`;
+}
+
+/**
+ * Find the block node at a source line, for scrolling a preview to the
+ * editor's cursor
+ * Returns the innermost block containing the line; on a line between blocks,
+ * the last block before it
+ * @param {DocumentNode} ast - The document node
+ * @param {number} line - 1-based line number
+ * @returns {Object|null} - The token, with its position, or null if the line comes before every block
+ */
+export function lookupNode(ast, line) {
+  let containing = null;
+  let preceding = null;
+  
+  walkTokens(ast.children, token => {
+    if (!token.position || !SOURCE_POSITION_TYPES.includes(token.type)) return;
+    const { start, end } = token.position;
+    
+    // Later matches are nested inside earlier ones, so the innermost wins
+    if (start.line <= line && end.line >= line) {
+      containing = token;
+    } else if (end.line < line && (!preceding || end.line >= preceding.position.end.line)) {
+      preceding = token;
+    }
+  });
+  
+  return containing || preceding;
+}
+
+/**
+ * Built-in plugin that adds data-sourcepos="3:1-5:12" to the first tag of
+ * every rendered block, for scroll sync between an editor and a preview
+ * Each renderer renders its token again through the renderers registered
+ * before it, then annotates the result
+ * @returns {Object} The plugin
+ */
+export default function sourcePositionsPlugin() {
+  const rendering = new WeakSet();
+  
+  const annotate = (html, token) => {
+    const sourcepos = formatSourcePos(token.position);
+    return html.replace(/^(\s*<[a-zA-Z][\w-]*)/, `$1 data-sourcepos="${sourcepos}"`);
+  };
+  
+  const renderers = Object.fromEntries(SOURCE_POSITION_TYPES.map(type => [type, function(token) {
+    if (!token.position || rendering.has(token)) return false;
+    
+    rendering.add(token);
+    try {
+      // List items are not rendered by parse(), the list renderer calls listitem()
+      const html = type === 'list_item' ? this.listitem(token) : this.parser.parse([token]);
+      return annotate(html, token);
+    } finally {
+      rendering.delete(token);
+    }
+  }]));
+  
+  // marked calls the list item renderer "listitem"
+  renderers.listitem = renderers.list_item;
+  delete renderers.list_item;
+  
+  return {
+    name: 'sourcePositions',
+    renderers
+  };
+}
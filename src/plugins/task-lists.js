@@ -0,0 +1,79 @@
+import { walkTokens, escapeHtml } from '../utils.js';
+
+/**
+ * Number the task items of a document and find their boxes in the source
+ * Each item token gets its taskIndex and sourceLine
+ * @param {Array} tokens - Tokens from the lexer, with their positions recorded
+ * @returns {Array<TaskItem>} - Task items in document order
+ */
+export function collectTasks(tokens) {
+  const tasks = [];
+  
+  walkTokens(tokens, token => {
+    if (token.type !== 'list_item' || !token.task) return;
+    
+    // The box is on the item's first line, which starts at its position
+    const box = /\[[ xX]\]/.exec(token.raw.split('\n')[0]);
+    const start = token.position && box ? token.position.start : null;
+    
+    token.taskIndex = tasks.length;
+    token.sourceLine = start ? start.line : null;
+    tasks.push({
+      index: tasks.length,
+      checked: Boolean(token.checked),
+      text: token.text.split('\n')[0].trim(),
+      line: start ? start.line : null,
+      column: start ? start.column + box.index : null,
+      offset: start ? start.offset + box.index : null
+    });
+  });
+  
+  return tasks;
+}
+
+/**
+ * Flip the box of a task item in the markdown
+ * @param {string} markdown - The markdown the tasks were collected from
+ * @param {TaskItem} task - The task item
+ * @returns {string} - The edited markdown
+ */
+export function toggleTaskInSource(markdown, task) {
+  if (task.offset === null || !/^\[[ xX]\]$/.test(markdown.slice(task.offset, task.offset + 3))) {
+    throw new Error(`Task ${task.index} could not be found in the markdown`);
+  }
+  
+  const mark = task.checked ? ' ' : 'x';
+  return markdown.slice(0, task.offset + 1) + mark + markdown.slice(task.offset + 2);
+}
+
+/**
+ * Built-in plugin for task list items
+ * Items carry data-task-index and data-source-line, so a checklist UI can
+ * map a click back to the markdown with toggleTask()
+ * @param {Object} options - Plugin options
+ * @param {boolean} options.interactive - Render enabled checkboxes instead of disabled ones
+ * @returns {Object} The plugin
+ */
+export default function taskListsPlugin({ interactive = false } = {}) {
+  return {
+    name: 'taskLists',
+    renderers: {
+      listitem(item) {
+        if (!item.task) return false;
+        
+        const index = item.taskIndex ?? '';
+        const checkbox = `<input type="checkbox" class="task-list-item-checkbox" data-task-index="${index}"` +
+          `${item.checked ? ' checked' : ''}${interactive ? '' : ' disabled'}>`;
+        const line = item.sourceLine ? ` data-source-line="${escapeHtml(item.sourceLine)}"` : '';
+        
+        // Loose items start with a paragraph, which the box goes into
+        const content = this.parser.parse(item.tokens, Boolean(item.loose));
+        const body = content.startsWith('<p>')
+          ? `<p>${checkbox} ${content.slice(3)}`
+          : `${checkbox} ${content}`;
+        
+        return `<li class="task-list-item" data-task-index="${index}"${line}>${body}</li>\n`;
+      }
+    }
+  };
+}
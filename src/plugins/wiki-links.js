@@ -0,0 +1,84 @@
+import { escapeHtml } from '../utils.js';
+import { createSlugger } from './headings.js';
+
+/**
+ * Inline extension for [[Page]], [[Page#Heading]] and [[Page#Heading|label]]
+ * The target is resolved to a URL while parsing, so the token records
+ * whether the link resolved
+ * @param {function(string, Object): (string|null)} resolve - Maps a target to a URL
+ */
+function createWikiLinkExtension(resolve) {
+  return {
+    name: 'wikiLink',
+    level: 'inline',
+    start(src) {
+      const index = src.indexOf('[[');
+      return index >= 0 ? index : undefined;
+    },
+    tokenizer(src) {
+      const match = /^\[\[([^[\]|#\n]*)(?:#([^[\]|\n]+))?(?:\|([^[\]\n]+))?\]\]/.exec(src);
+      if (!match) return;
+      
+      const target = match[1].trim();
+      const heading = match[2] ? match[2].trim() : null;
+      if (!target && !heading) return;
+      
+      const fragment = heading ? createSlugger()(heading) : null;
+      let href = null;
+      
+      if (!target) {
+        // [[#Heading]] links within the page
+        href = `#${fragment}`;
+      } else {
+        const url = resolve ? resolve(target, { heading, fragment }) : null;
+        href = url && fragment && !url.includes('#') ? `${url}#${fragment}` : url || null;
+      }
+      
+      return {
+        type: 'wikiLink',
+        raw: match[0],
+        target,
+        heading,
+        label: match[3] ? match[3].trim() : [target, heading].filter(Boolean).join(' › '),
+        href,
+        resolved: href !== null
+      };
+    }
+  };
+}
+
+/**
+ * Built-in plugin for wiki-links
+ * Resolved links become <a class="wiki-link">; unresolved ones are rendered
+ * as <span class="wiki-link wiki-link-unresolved"> and reported as warnings
+ * @param {Object} options - Plugin options
+ * @param {function(string, Object): (string|null)} options.resolve - (target, { heading, fragment }) => URL,
+ *   or null if there is no such page
+ * @param {function(Object): void} options.onWarning - Receives { type: 'wiki-link', message, line, column }
+ * @returns {Object} The plugin
+ */
+export default function wikiLinksPlugin({ resolve, onWarning } = {}) {
+  return {
+    name: 'wikiLinks',
+    extensions: [createWikiLinkExtension(resolve)],
+    renderers: {
+      wikiLink(token) {
+        const label = escapeHtml(token.label);
+        
+        if (token.resolved) {
+          return `<a class="wiki-link" href="${escapeHtml(token.href)}">${label}</a>`;
+        }
+        
+        if (onWarning) {
+          onWarning({
+            type: 'wiki-link',
+            message: `Unresolved wiki-link "${token.target}"`,
+            line: token.position ? token.position.start.line : null,
+            column: token.position ? token.position.start.column : null
+          });
+        }
+        return `<span class="wiki-link wiki-link-unresolved" data-target="${escapeHtml(token.target)}">${label}</span>`;
+      }
+    }
+  };
+}
@@ -0,0 +1,152 @@
+import { escapeHtml } from '../utils.js';
+
+const YOUTUBE_URL_PATTERN = /^https?:\/\/(?:www\.|m\.)?(?:youtube\.com|youtu\.be|youtube-nocookie\.com)\/\S+$/i;
+
+/**
+ * Parse a time value like "700", "700s" or "1h2m3s" into seconds
+ * @param {string} value - The time value from the URL
+ * @returns {number} - Seconds, or 0 if the value is not a time
+ */
+function parseYouTubeTime(value) {
+  if (!value) return 0;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  
+  const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+  if (!match) return 0;
+  
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Extract the video ID and start time from a YouTube URL or a bare video ID
+ * @param {string} input - A YouTube URL or video ID
+ * @returns {Object|null} - { videoId, start } or null if it is not a YouTube video
+ */
+export function parseYouTubeUrl(input) {
+  if (!input) return null;
+  
+  if (/^[\w-]{6,}$/.test(input)) {
+    return { videoId: input, start: 0 };
+  }
+  
+  if (!YOUTUBE_URL_PATTERN.test(input)) return null;
+  
+  let url;
+  try {
+    url = new URL(input);
+  } catch (error) {
+    return null;
+  }
+  
+  let videoId = null;
+  if (url.hostname.endsWith('youtu.be')) {
+    videoId = url.pathname.slice(1).split('/')[0];
+  } else if (url.pathname === '/watch') {
+    videoId = url.searchParams.get('v');
+  } else {
+    const match = /^\/(?:embed|shorts|live|v)\/([^/?#]+)/.exec(url.pathname);
+    videoId = match ? match[1] : null;
+  }
+  
+  if (!videoId || !/^[\w-]+$/.test(videoId)) return null;
+  
+  const start = parseYouTubeTime(url.searchParams.get('t') || url.searchParams.get('start'));
+  return { videoId, start };
+}
+
+/**
+ * Render a YouTube token as a thumbnail link or a youtube-nocookie iframe
+ * @param {Object} token - The youtube token
+ * @param {string} defaultMode - 'thumbnail' or 'iframe', used when the token does not force one
+ * @returns {string} - HTML output
+ */
+function renderYouTube(token, defaultMode = 'thumbnail') {
+  const mode = token.mode || defaultMode;
+  const title = escapeHtml(token.title || 'YouTube video');
+  
+  if (mode === 'iframe') {
+    const src = `https://www.youtube-nocookie.com/embed/${token.videoId}${token.start ? `?start=${token.start}` : ''}`;
+    return `<iframe class="youtube-embed" src="${src}" title="${title}" frameborder="0" ` +
+      `allow="accelerometer; clipboard-write; encrypted-media; gyroscope; picture-in-picture" ` +
+      `referrerpolicy="strict-origin-when-cross-origin" loading="lazy" allowfullscreen></iframe>`;
+  }
+  
+  const href = `https://www.youtube.com/watch?v=${token.videoId}${token.start ? `&amp;t=${token.start}s` : ''}`;
+  return `<a class="youtube-thumbnail-link" href="${href}" target="_blank" rel="noopener noreferrer">` +
+    `<img class="youtube-thumbnail-image" src="https://img.youtube.com/vi/${token.videoId}/hqdefault.jpg" ` +
+    `alt="${title}" loading="lazy" referrerpolicy="no-referrer"></a>`;
+}
+
+/**
+ * Inline extension for the YouTube directive:
+ * @[youtube](url "title"), @[youtube-thumbnail](url) and @[youtube-embed](url)
+ */
+const youtubeDirectiveExtension = {
+  name: 'youtube',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('@[youtube');
+    return index >= 0 ? index : undefined;
+  },
+  tokenizer(src) {
+    const match = /^@\[youtube(-thumbnail|-embed)?\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/.exec(src);
+    if (!match) return;
+    
+    const video = parseYouTubeUrl(match[2]);
+    if (!video) return;
+    
+    return {
+      type: 'youtube',
+      raw: match[0],
+      url: match[2],
+      title: match[3] || '',
+      mode: match[1] === '-thumbnail' ? 'thumbnail' : match[1] === '-embed' ? 'iframe' : undefined,
+      ...video
+    };
+  }
+};
+
+/**
+ * Block extension for a YouTube URL that stands alone on its own line
+ */
+const youtubeLinkExtension = {
+  name: 'youtubeLink',
+  level: 'block',
+  tokenizer(src) {
+    const match = /^ {0,3}<?(https?:\/\/\S+?)>?[ \t]*(?:\n+|$)/.exec(src);
+    if (!match) return;
+    
+    const video = parseYouTubeUrl(match[1]);
+    if (!video) return;
+    
+    return {
+      type: 'youtubeLink',
+      raw: match[0],
+      url: match[1],
+      title: '',
+      ...video
+    };
+  }
+};
+
+/**
+ * Built-in plugin for YouTube directives and standalone YouTube links
+ * @param {Object} options - Plugin options
+ * @param {string} options.embed - 'thumbnail' or 'iframe', used when the directive does not force one
+ * @returns {Object} The plugin
+ */
+export default function youtubePlugin({ embed = 'thumbnail' } = {}) {
+  return {
+    name: 'youtube',
+    extensions: [youtubeDirectiveExtension, youtubeLinkExtension],
+    renderers: {
+      youtube(token) {
+        return renderYouTube(token, embed);
+      },
+      youtubeLink(token) {
+        return `<p>${renderYouTube(token, embed)}</p>\n`;
+      }
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import Prism from 'prismjs';
+import components from 'prismjs/components.js';
+import getLoader from 'prismjs/dependencies.js';
+import { nodeRequire } from './utils.js';
+
+// Fence names in common use that Prism does not list as aliases
+const EXTRA_ALIASES = {
+  'c++': 'cpp',
+  'golang': 'go',
+  'zsh': 'bash',
+  'console': 'shell-session',
+  'ps1': 'powershell',
+  'jsonc': 'json'
+};
+
+const aliases = Object.entries(components.languages).reduce((map, [id, entry]) => {
+  if (id === 'meta') return map;
+  [].concat(entry.alias || []).forEach(alias => { map[alias] = id; });
+  return map;
+}, { ...EXTRA_ALIASES });
+
+/**
+ * Resolve a fence language or alias (js, sh, yml, ...) to a Prism component id
+ * @param {string} language - The language name
+ * @returns {string|null} - The component id, or null if Prism has no such language
+ */
+export function resolvePrismLanguage(language) {
+  if (!language) return null;
+  
+  const name = language.toLowerCase();
+  const id = aliases[name] || name;
+  return id !== 'meta' && components.languages[id] ? id : null;
+}
+
+/**
+ * Work out which components to load, dependencies first (cpp needs c, which needs clike)
+ * @param {Array<string>} languages - Language names or aliases
+ * @returns {Array<string>} - Component ids that are not loaded yet, in load order
+ */
+export function getPrismLoadOrder(languages) {
+  const ids = languages.map(resolvePrismLanguage).filter(Boolean);
+  if (ids.length === 0) return [];
+  
+  return getLoader(components, ids, Object.keys(Prism.languages))
+    .getIds()
+    .filter(id => !Prism.languages[id]);
+}
+
+/**
+ * Load Prism languages synchronously, for Node
+ * Outside Node nothing is loaded; use loadPrismLanguagesAsync() there
+ * @param {Array<string>} languages - Language names or aliases
+ * @returns {Array<string>} - Requested languages that are still not available
+ */
+export function loadPrismLanguages(languages) {
+  if (nodeRequire) {
+    getPrismLoadOrder(languages).forEach(id => {
+      nodeRequire(`prismjs/components/prism-${id}.js`);
+    });
+  }
+  
+  return languages.filter(language => !isPrismLanguageLoaded(language));
+}
+
+/**
+ * Load Prism languages with dynamic import(), for browsers and bundlers
+ * @param {Array<string>} languages - Language names or aliases
+ * @returns {Promise<Array<string>>} - Requested languages that are still not available
+ */
+export async function loadPrismLanguagesAsync(languages) {
+  // Components extend each other, so they are imported one at a time in order
+  for (const id of getPrismLoadOrder(languages)) {
+    await import(`prismjs/components/prism-${id}.js`);
+  }
+  
+  return languages.filter(language => !isPrismLanguageLoaded(language));
+}
+
+/**
+ * Check whether Prism has a grammar for a language or alias
+ */
+export function isPrismLanguageLoaded(language) {
+  return Boolean(getPrismGrammar(language));
+}
+
+/**
+ * Get the Prism grammar for a language or alias
+ * @param {string} language - The language name
+ * @returns {Object|undefined} - The grammar, if loaded
+ */
+export function getPrismGrammar(language) {
+  if (!language) return undefined;
+  
+  // Prism.languages also holds helpers such as extend() and insertBefore()
+  const grammar = Prism.languages[language] || Prism.languages[resolvePrismLanguage(language)];
+  return grammar && typeof grammar === 'object' ? grammar : undefined;
+}
@@ -0,0 +1,239 @@
+/**
+ * Allowlist HTML sanitizer for rendering untrusted markdown
+ * Works on the final HTML string, so it runs in Node and in the browser and
+ * keeps the markup produced by KaTeX, Prism, footnotes and YouTube embeds
+ */
+
+const KATEX_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace',
+  'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover',
+  'mtable', 'mtr', 'mtd', 'mlabeledtr', 'mstyle', 'mpadded', 'mphantom', 'menclose',
+  'svg', 'path', 'line', 'g'
+];
+
+/**
+ * Default allowlist, exported so callers can extend it
+ */
+export const DEFAULT_SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'div', 'span', 'section',
+    'blockquote', 'pre', 'code', 'kbd', 'samp', 'var', 'em', 'strong', 'b', 'i', 'u', 's',
+    'del', 'ins', 'sub', 'sup', 'mark', 'small', 'abbr', 'cite', 'q', 'dfn', 'time',
+    'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'input',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption', 'colgroup', 'col',
+    'a', 'img', 'figure', 'figcaption', 'details', 'summary', 'iframe',
+    ...KATEX_TAGS
+  ],
+  allowedAttributes: {
+    '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'style', 'aria-*', 'data-*'],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height', 'loading', 'referrerpolicy'],
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start', 'type', 'reversed'],
+    th: ['align', 'colspan', 'rowspan', 'scope'],
+    td: ['align', 'colspan', 'rowspan'],
+    col: ['span'],
+    colgroup: ['span'],
+    details: ['open'],
+    time: ['datetime'],
+    q: ['cite'],
+    blockquote: ['cite'],
+    iframe: ['src', 'width', 'height', 'frameborder', 'allow', 'allowfullscreen', 'referrerpolicy', 'loading'],
+    math: ['xmlns', 'display'],
+    annotation: ['encoding'],
+    mi: ['mathvariant'],
+    mo: ['fence', 'separator', 'stretchy', 'lspace', 'rspace', 'minsize', 'maxsize', 'symmetric', 'movablelimits', 'accent'],
+    mover: ['accent'],
+    munder: ['accentunder'],
+    munderover: ['accent', 'accentunder'],
+    mfrac: ['linethickness'],
+    mspace: ['width'],
+    mpadded: ['width', 'height', 'depth', 'lspace', 'voffset'],
+    mstyle: ['scriptlevel', 'displaystyle', 'mathcolor', 'mathsize'],
+    mtable: ['columnalign', 'rowspacing', 'columnspacing', 'columnlines', 'rowlines', 'frame', 'width'],
+    mtd: ['columnalign'],
+    menclose: ['notation'],
+    svg: ['xmlns', 'width', 'height', 'viewbox', 'preserveaspectratio'],
+    path: ['d'],
+    line: ['x1', 'y1', 'x2', 'y2', 'stroke-width']
+  },
+  // Only iframes whose src matches one of these are kept
+  allowedIframeSources: [
+    /^https:\/\/www\.youtube-nocookie\.com\/embed\/[\w-]+(?:\?start=\d+)?$/,
+    /^https:\/\/www\.youtube\.com\/embed\/[\w-]+(?:\?start=\d+)?$/
+  ],
+  allowedSchemes: ['http', 'https', 'mailto', 'tel']
+};
+
+// Elements removed together with everything inside them
+const DROP_WITH_CONTENT = ['script', 'style', 'textarea', 'title', 'noscript', 'template', 'xmp', 'noembed', 'noframes', 'plaintext', 'object', 'iframe'];
+
+const URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href'];
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED_ENTITIES = { colon: ':', tab: '\t', newline: '\n', lpar: '(', rpar: ')', sol: '/', amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' };
+
+/**
+ * Decode the character references that can be used to hide a URL scheme
+ */
+function decodeEntities(value) {
+  return value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (match, decimal, hex, name) => {
+    if (decimal) return String.fromCodePoint(Number(decimal) % 0x110000);
+    if (hex) return String.fromCodePoint(parseInt(hex, 16) % 0x110000);
+    const decoded = NAMED_ENTITIES[name.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  });
+}
+
+/**
+ * Check a URL attribute value against the allowed schemes
+ * Relative URLs and fragments are always allowed
+ */
+function isSafeUrl(value, allowedSchemes) {
+  // Browsers ignore control characters and whitespace inside the scheme
+  const url = decodeEntities(value).replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+  const scheme = /^([a-z][a-z0-9+.-]*):/.exec(url);
+  return !scheme || allowedSchemes.includes(scheme[1]);
+}
+
+/**
+ * Check an inline style for constructs that can load resources or run script,
+ * or lay an element over the page (KaTeX never positions with inline styles)
+ */
+function isSafeStyle(value) {
+  const style = decodeEntities(value).toLowerCase();
+  return !/url\s*\(|expression\s*\(|javascript:|@import|behavior\s*:|-moz-binding|[\\<]|(?:^|[;\s])(?:position|z-index)\s*:/.test(style);
+}
+
+/**
+ * Check an attribute name against the allowlist, which may contain
+ * prefix wildcards such as 'data-*'
+ */
+function isAllowedAttribute(name, allowed) {
+  return allowed.some(entry => entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : entry === name);
+}
+
+/**
+ * Rebuild an allowed tag, keeping only allowed attributes with safe values
+ * @returns {string|null} The tag, or null if the element must be dropped
+ */
+function sanitizeTag(tagName, rawAttributes, selfClosing, options) {
+  const allowed = [
+    ...(options.allowedAttributes['*'] || []),
+    ...(options.allowedAttributes[tagName] || [])
+  ];
+  const attributes = {};
+  const parts = [];
+  
+  for (const match of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+    const originalName = match[1];
+    const name = originalName.toLowerCase();
+    const value = match[2] ?? match[3] ?? match[4];
+    
+    // Event handlers are never allowed, whatever the allowlist says
+    if (name.startsWith('on') || !isAllowedAttribute(name, allowed) || name in attributes) continue;
+    if (value !== undefined && URL_ATTRIBUTES.includes(name) && !isSafeUrl(value, options.allowedSchemes)) continue;
+    if (value !== undefined && name === 'style' && !isSafeStyle(value)) continue;
+    
+    attributes[name] = value === undefined ? '' : decodeEntities(value);
+    parts.push(value === undefined
+      ? originalName
+      : `${originalName}="${value.replace(/"/g, '&quot;').replace(/</g, '&lt;')}"`);
+  }
+  
+  if (tagName === 'iframe' && !options.allowedIframeSources.some(pattern => pattern.test(attributes.src || ''))) {
+    return null;
+  }
+  
+  if (tagName === 'input' && attributes.type !== 'checkbox') {
+    return null;
+  }
+  
+  return `<${tagName}${parts.length ? ' ' + parts.join(' ') : ''}${selfClosing ? '/' : ''}>`;
+}
+
+/**
+ * Sanitize HTML against an allowlist of tags and attributes
+ * Disallowed tags are removed but their text is kept, except for script-like
+ * elements which are removed with their content. Comments are removed and
+ * stray "<" characters are escaped.
+ * @param {string} html - The HTML to sanitize
+ * @param {Object} options - Allowlist, defaults to DEFAULT_SANITIZE_OPTIONS
+ * @returns {string} The sanitized HTML
+ */
+export function sanitizeHtml(html, options = {}) {
+  const settings = { ...DEFAULT_SANITIZE_OPTIONS, ...options };
+  const allowedTags = new Set(settings.allowedTags.map(tag => tag.toLowerCase()));
+  
+  let output = '';
+  let position = 0;
+  const source = String(html);
+  
+  // Skip past the closing tag of an element dropped with its content
+  const skipElement = tagName => {
+    const end = new RegExp(`</${tagName}\\s*>`, 'ig');
+    end.lastIndex = position;
+    position = end.exec(source) ? end.lastIndex : source.length;
+  };
+  
+  while (position < source.length) {
+    const next = source.indexOf('<', position);
+    if (next < 0) {
+      output += source.slice(position);
+      break;
+    }
+    
+    output += source.slice(position, next);
+    position = next;
+    
+    // Comments, doctypes, CDATA and processing instructions are dropped
+    if (source.startsWith('<!--', position)) {
+      const end = source.indexOf('-->', position + 4);
+      position = end < 0 ? source.length : end + 3;
+      continue;
+    }
+    if (source[position + 1] === '!' || source[position + 1] === '?') {
+      const end = source.indexOf('>', position);
+      position = end < 0 ? source.length : end + 1;
+      continue;
+    }
+    
+    TAG_PATTERN.lastIndex = position;
+    const match = TAG_PATTERN.exec(source);
+    if (!match) {
+      output += '&lt;';
+      position += 1;
+      continue;
+    }
+    
+    const [tag, closing, name, rawAttributes, selfClosing] = match;
+    const tagName = name.toLowerCase();
+    position += tag.length;
+    
+    if (!allowedTags.has(tagName)) {
+      if (!closing && DROP_WITH_CONTENT.includes(tagName)) {
+        skipElement(tagName);
+      }
+      continue;
+    }
+    
+    if (closing) {
+      output += `</${tagName}>`;
+      continue;
+    }
+    
+    const sanitized = sanitizeTag(tagName, rawAttributes, Boolean(selfClosing), settings);
+    if (sanitized === null) {
+      if (DROP_WITH_CONTENT.includes(tagName)) {
+        skipElement(tagName);
+      }
+      continue;
+    }
+    
+    output += sanitized;
+  }
+  
+  return output;
+}
@@ -0,0 +1,446 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import { walkTokens, escapeHtml } from './utils.js';
+import { renderStandalonePage } from './standalone.js';
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const SEARCH_INDEX_FILE = 'search-index.json';
+
+/**
+ * Find the markdown files in a directory tree, skipping hidden directories
+ * and node_modules
+ * @param {string} directory - The directory to search
+ * @returns {Promise<Array<string>>} - File paths, sorted
+ */
+export async function findMarkdownFiles(directory) {
+  const entries = await fsPromises.readdir(directory, { withFileTypes: true });
+  const files = [];
+  
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && entry.name !== 'node_modules') {
+        files.push(...await findMarkdownFiles(fullPath));
+      }
+    } else if (isMarkdownFile(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  
+  return files.sort();
+}
+
+/**
+ * Check whether a file name has a markdown extension
+ */
+export function isMarkdownFile(fileName) {
+  return MARKDOWN_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Get the URL path of the page built from a markdown file, relative to the site root
+ * README.md becomes index.html unless its directory also has an index.md
+ * @param {string} source - Markdown path relative to the source directory, with / separators
+ * @param {Set<string>} sources - All markdown paths in the site
+ * @returns {string} - The page path, e.g. guide/start.html
+ */
+function getPagePath(source, sources) {
+  const directory = path.posix.dirname(source);
+  const name = path.posix.basename(source, path.posix.extname(source));
+  const hasIndex = ['index.md', 'index.markdown'].some(file => sources.has(path.posix.join(directory, file)));
+  const pageName = name.toLowerCase() === 'readme' && !hasIndex ? 'index' : name;
+  return path.posix.join(directory, `${pageName}.html`);
+}
+
+/**
+ * Check whether a link points into the site rather than to another origin
+ */
+function isRelativeUrl(href) {
+  return Boolean(href) && !/^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith('//') && !href.startsWith('/');
+}
+
+/**
+ * Flatten table of contents entries into heading texts, in document order
+ */
+function getHeadingTexts(entries) {
+  return entries.flatMap(entry => [entry.text, ...getHeadingTexts(entry.children)]);
+}
+
+/**
+ * Get the text of a page for the search index
+ */
+function getSearchText(ast) {
+  const words = [];
+  walkTokens(ast.children, token => {
+    if (['text', 'codespan', 'escape'].includes(token.type) && !token.tokens) {
+      words.push(token.text);
+    }
+  });
+  return words.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Plugin that rewrites the links of the page being built
+ * Relative .md links point to the built .html page, and links to missing
+ * pages, headings and images are recorded as broken
+ */
+export function siteLinksPlugin(site) {
+  return {
+    name: 'site-links',
+    transformAst(ast) {
+      const page = site.current;
+      if (!page) return;
+      
+      walkTokens(ast.children, token => {
+        if (token.type === 'link' && isRelativeUrl(token.href)) {
+          token.href = resolvePageLink(site, page, token.href, token.position);
+        } else if (token.type === 'image' && isRelativeUrl(token.href)) {
+          resolveImage(site, page, token.href, token.position);
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Wiki-link resolver for the page being built
+ * [[Target]] matches a page by its path without extension, its title or its
+ * file name, ignoring case and treating spaces, hyphens and underscores alike
+ */
+export function siteWikiLinkResolver(site) {
+  return (target, { fragment }) => {
+    const page = site.current;
+    if (!page) return null;
+    
+    const linked = findWikiPage(site, target);
+    if (!linked) {
+      reportBrokenLink(site, page, `[[${target}]]`, 'wiki-link', `No page matches "${target}"`);
+      return null;
+    }
+    
+    if (fragment && !linked.ids.has(fragment)) {
+      reportBrokenLink(site, page, `[[${target}]]`, 'anchor', `No heading with id "${fragment}" in "${linked.source}"`);
+    }
+    
+    addBacklink(site, page, linked);
+    return path.posix.relative(path.posix.dirname(page.output), linked.output) || path.posix.basename(linked.output);
+  };
+}
+
+/**
+ * Find the page a wiki-link target refers to
+ */
+function findWikiPage(site, target) {
+  const normalize = value => value.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+  const name = normalize(target);
+  const pages = [...site.pages.values()];
+  const withoutExtension = source => source.slice(0, -path.posix.extname(source).length);
+  
+  return pages.find(page => normalize(withoutExtension(page.source)) === name)
+    || pages.find(page => normalize(page.title) === name)
+    || pages.find(page => normalize(path.posix.basename(withoutExtension(page.source))) === name);
+}
+
+/**
+ * Record that a page links to another one
+ */
+function addBacklink(site, page, linked) {
+  if (page === linked) return;
+  if (!site.backlinks.has(linked.source)) {
+    site.backlinks.set(linked.source, new Set());
+  }
+  site.backlinks.get(linked.source).add(page.source);
+}
+
+/**
+ * Resolve a relative link on a page, returning the href to use in the built page
+ */
+function resolvePageLink(site, page, href, position) {
+  const [target, fragment] = splitFragment(href);
+  const decodedTarget = decodeUrlPart(target, decodeURI);
+  const decodedFragment = fragment && decodeUrlPart(fragment, decodeURIComponent);
+  
+  if (decodedTarget === null || decodedFragment === null) {
+    reportBrokenLink(site, page, href, target ? 'link' : 'anchor', `Malformed percent-encoding in "${href}"`, position);
+    return href;
+  }
+  
+  // Links to a heading on the same page
+  if (!target) {
+    if (fragment && !page.ids.has(decodedFragment)) {
+      reportBrokenLink(site, page, href, 'anchor', `No heading with id "${fragment}" on this page`, position);
+    }
+    return href;
+  }
+  
+  const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(page.source), decodedTarget));
+  
+  if (!isMarkdownFile(target)) {
+    site.referencedFiles.push({ page, href, resolved, position });
+    return href;
+  }
+  
+  const linked = site.pages.get(resolved);
+  if (!linked) {
+    reportBrokenLink(site, page, href, 'link', `Page "${resolved}" does not exist`, position);
+    return href;
+  }
+  
+  if (fragment && !linked.ids.has(decodedFragment)) {
+    reportBrokenLink(site, page, href, 'anchor', `No heading with id "${fragment}" in "${resolved}"`, position);
+  }
+  
+  addBacklink(site, page, linked);
+  const url = path.posix.relative(path.posix.dirname(page.output), linked.output) || path.posix.basename(linked.output);
+  return fragment === undefined ? url : `${url}#${fragment}`;
+}
+
+/**
+ * Record an image to copy, or report it as broken if it is missing
+ */
+function resolveImage(site, page, src, position) {
+  const [target] = splitFragment(src.split('?')[0]);
+  const decodedTarget = decodeUrlPart(target, decodeURI);
+  if (decodedTarget === null) {
+    reportBrokenLink(site, page, src, 'image', `Malformed percent-encoding in "${src}"`, position);
+    return;
+  }
+  
+  const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(page.source), decodedTarget));
+  
+  if (resolved.startsWith('../')) {
+    reportBrokenLink(site, page, src, 'image', `Image "${src}" is outside the source directory`, position);
+    return;
+  }
+  
+  site.images.push({ page, href: src, resolved, position });
+}
+
+/**
+ * Decode a percent-encoded part of a URL
+ * @returns {string|null} - The decoded text, or null if an escape such as "100%" is malformed
+ */
+function decodeUrlPart(value, decode) {
+  try {
+    return decode(value);
+  } catch (error) {
+    if (error instanceof URIError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Split "page.md#heading" into ["page.md", "heading"]
+ */
+function splitFragment(href) {
+  const index = href.indexOf('#');
+  return index < 0 ? [href, undefined] : [href.slice(0, index), href.slice(index + 1)];
+}
+
+/**
+ * Record a link, anchor or image that does not resolve, with its position
+ * in the page when known
+ */
+function reportBrokenLink(site, page, href, type, message, position = null) {
+  const line = position ? position.start.line : null;
+  const column = position ? position.start.column : null;
+  site.brokenLinks.push({ page: page.source, href, type, message, line, column });
+}
+
+/**
+ * Build the navigation tree from the directory structure
+ * A directory's index page becomes its section link, and the site's index
+ * page comes first; pages are ordered by
+ * their front matter `order`, then by title. Pages with `nav: false` are left out.
+ */
+function buildNavigation(pages) {
+  const root = { name: '', title: null, page: null, pages: [], sections: new Map() };
+  
+  pages.forEach(page => {
+    if (page.frontMatter && page.frontMatter.nav === false) return;
+    
+    const directories = path.posix.dirname(page.source).split('/').filter(part => part !== '.');
+    const section = directories.reduce((parent, name) => {
+      if (!parent.sections.has(name)) {
+        parent.sections.set(name, { name, title: null, page: null, pages: [], sections: new Map() });
+      }
+      return parent.sections.get(name);
+    }, root);
+    
+    if (path.posix.basename(page.output) === 'index.html') {
+      section.page = page;
+    } else {
+      section.pages.push(page);
+    }
+  });
+  
+  return root;
+}
+
+/**
+ * Sort by front matter order, then by title
+ */
+function compareByOrder(a, b) {
+  const orderA = a.order ?? Infinity;
+  const orderB = b.order ?? Infinity;
+  return orderA !== orderB ? orderA - orderB : a.title.localeCompare(b.title);
+}
+
+/**
+ * Render the navigation tree as nested lists, with links relative to the current page
+ */
+function renderNavigation(section, current) {
+  const link = page => {
+    const href = path.posix.relative(path.posix.dirname(current.output), page.output) || path.posix.basename(page.output);
+    const currentAttribute = page === current ? ' aria-current="page"' : '';
+    return `<a href="${escapeHtml(href)}"${currentAttribute}>${escapeHtml(page.title)}</a>`;
+  };
+  
+  const entries = [
+    ...section.pages.map(page => ({ title: page.title, order: page.order, html: link(page) })),
+    ...[...section.sections.values()].map(child => {
+      const title = child.page ? child.page.title : child.name;
+      const heading = child.page ? link(child.page) : `<span class="site-nav-section">${escapeHtml(title)}</span>`;
+      return { title, order: child.page ? child.page.order : undefined, html: heading + renderNavigation(child, current) };
+    })
+  ].sort(compareByOrder);
+  
+  if (section.name === '' && section.page) {
+    entries.unshift({ html: link(section.page) });
+  }
+  
+  return entries.length ? `<ul>${entries.map(entry => `<li>${entry.html}</li>`).join('')}</ul>` : '';
+}
+
+/**
+ * Render the "Linked from" section of a page
+ */
+function renderBacklinks(site, page) {
+  const sources = [...(site.backlinks.get(page.source) || [])].map(source => site.pages.get(source));
+  if (sources.length === 0) return '';
+  
+  const items = sources.sort(compareByOrder).map(linking => {
+    const href = path.posix.relative(path.posix.dirname(page.output), linking.output) || path.posix.basename(linking.output);
+    return `<li><a href="${escapeHtml(href)}">${escapeHtml(linking.title)}</a></li>`;
+  });
+  return `<section class="backlinks"><h2>Linked from</h2><ul>${items.join('')}</ul></section>\n`;
+}
+
+/**
+ * Build a static site from a folder of markdown
+ * Every markdown file becomes a standalone HTML page with a navigation
+ * sidebar; relative .md links are rewritten to .html, referenced images are
+ * copied and a search index is written to search-index.json
+ * Each page ends with the pages that link to it, through markdown links or
+ * wiki-links, unless backlinks is false
+ * @param {MarkdownRenderer} renderer - Renderer to build with; its plugins and options apply
+ * @param {Object} site - Link state shared with the siteLinksPlugin() registered on the renderer
+ * @param {string} srcDir - Directory with the markdown files
+ * @param {string} outDir - Directory to write the site to
+ * @param {Object} options - { theme, inlineAssets, backlinks } for the pages
+ * @returns {Promise<Object>} - { pages, images, brokenLinks }
+ */
+export async function buildSite(renderer, site, srcDir, outDir, { theme = 'auto', inlineAssets = false, backlinks = true } = {}) {
+  const files = await findMarkdownFiles(srcDir);
+  const sources = new Set(files.map(file => path.relative(srcDir, file).split(path.sep).join('/')));
+  
+  Object.assign(site, { current: null, pages: new Map(), images: [], referencedFiles: [], brokenLinks: [], backlinks: new Map() });
+  
+  // First pass: titles and heading ids, so links between pages can be checked
+  for (const file of files) {
+    const source = path.relative(srcDir, file).split(path.sep).join('/');
+    const ast = renderer.parse(await fsPromises.readFile(file, 'utf8'));
+    const frontMatter = ast.frontMatter || {};
+    const ids = new Set();
+    walkTokens(ast.children, token => { if (token.type === 'heading' && token.id) ids.add(token.id); });
+    
+    site.pages.set(source, {
+      file,
+      source,
+      output: getPagePath(source, sources),
+      title: String(frontMatter.title || (ast.toc[0] && ast.toc[0].text) || path.posix.basename(source, path.posix.extname(source))),
+      order: typeof frontMatter.order === 'number' ? frontMatter.order : undefined,
+      frontMatter: ast.frontMatter,
+      ids,
+      headings: getHeadingTexts(ast.toc),
+      text: getSearchText(ast)
+    });
+  }
+  
+  const pages = [...site.pages.values()];
+  const navigation = buildNavigation(pages);
+  
+  // Second pass: render every page with its links rewritten
+  const results = new Map();
+  for (const page of pages) {
+    site.current = page;
+    try {
+      results.set(page, await renderer.readMarkdownFromFile(page.file, { info: true }));
+    } finally {
+      site.current = null;
+    }
+  }
+  
+  // Pages are written once all of them are rendered, when their backlinks are known
+  for (const page of pages) {
+    const { info } = results.get(page);
+    const html = results.get(page).html + (backlinks ? renderBacklinks(site, page) : '');
+    const sidebar = `<nav class="site-nav" aria-label="Site">${renderNavigation(navigation, page)}</nav>`;
+    const outputFile = path.join(outDir, ...page.output.split('/'));
+    
+    await fsPromises.mkdir(path.dirname(outputFile), { recursive: true });
+    await fsPromises.writeFile(outputFile, renderStandalonePage(html, {
+      title: page.title,
+      theme,
+      inlineAssets,
+      sidebar,
+      hasMath: info.hasMath,
+      hasHighlighting: info.hasHighlighting,
+      hasMermaid: info.hasMermaid
+    }));
+  }
+  
+  // Copy images, and check links to other files in the source directory
+  const copied = new Set();
+  for (const image of site.images) {
+    try {
+      if (!copied.has(image.resolved)) {
+        const target = path.join(outDir, ...image.resolved.split('/'));
+        await fsPromises.mkdir(path.dirname(target), { recursive: true });
+        await fsPromises.copyFile(path.join(srcDir, ...image.resolved.split('/')), target);
+        copied.add(image.resolved);
+      }
+    } catch {
+      reportBrokenLink(site, image.page, image.href, 'image', `Image "${image.resolved}" does not exist`, image.position);
+    }
+  }
+  
+  for (const reference of site.referencedFiles) {
+    try {
+      await fsPromises.access(path.join(srcDir, ...reference.resolved.split('/')));
+    } catch {
+      reportBrokenLink(site, reference.page, reference.href, 'link', `File "${reference.resolved}" does not exist`, reference.position);
+    }
+  }
+  
+  const searchIndex = pages.map(page => ({
+    url: page.output,
+    title: page.title,
+    headings: page.headings,
+    text: page.text
+  }));
+  await fsPromises.mkdir(outDir, { recursive: true });
+  await fsPromises.writeFile(path.join(outDir, SEARCH_INDEX_FILE), JSON.stringify(searchIndex));
+  
+  return {
+    pages: pages.map(({ source, output, title }) => ({
+      source,
+      output,
+      title,
+      backlinks: [...(site.backlinks.get(source) || [])]
+    })),
+    images: [...copied],
+    brokenLinks: site.brokenLinks
+  };
+}
@@ -0,0 +1,161 @@
+import { escapeHtml } from './utils.js';
+import { renderAssetTag } from './assets.js';
+
+export const THEMES = ['light', 'dark', 'auto'];
+
+const LIGHT_COLORS = `
+  color-scheme: light;
+  --text: #1f2328;
+  --muted: #59636e;
+  --background: #ffffff;
+  --surface: #f6f8fa;
+  --border: #d1d9e0;
+  --link: #0969da;
+  --line-highlight: rgba(255, 212, 59, 0.25);
+  --diff-added: rgba(46, 160, 67, 0.15);
+  --diff-removed: rgba(248, 81, 73, 0.15);
+  --error: #d1242f;`;
+
+const DARK_COLORS = `
+  color-scheme: dark;
+  --text: #e6edf3;
+  --muted: #9198a1;
+  --background: #0d1117;
+  --surface: #151b23;
+  --border: #3d444d;
+  --link: #4493f8;
+  --line-highlight: rgba(187, 128, 9, 0.25);
+  --diff-added: rgba(46, 160, 67, 0.25);
+  --diff-removed: rgba(248, 81, 73, 0.25);
+  --error: #f85149;`;
+
+// Page styles, plus the classes the renderer adds to code blocks, headings,
+// the table of contents, math and mermaid output
+const BASE_CSS = `
+body { margin: 0; background: var(--background); color: var(--text); font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; }
+.markdown-body { max-width: 860px; margin: 0 auto; padding: 32px 20px; }
+a { color: var(--link); }
+img { max-width: 100%; }
+hr { border: 0; border-top: 1px solid var(--border); }
+blockquote { margin: 0; padding: 0 1em; color: var(--muted); border-left: 4px solid var(--border); }
+table { border-collapse: collapse; }
+th, td { padding: 6px 13px; border: 1px solid var(--border); }
+code { font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace; font-size: 0.9em; }
+:not(pre) > code { padding: 0.2em 0.4em; background: var(--surface); border-radius: 6px; }
+pre { padding: 16px; overflow-x: auto; background: var(--surface); border: 1px solid var(--border); border-radius: 6px; }
+pre[class*="language-"], code[class*="language-"] { text-shadow: none; }
+.code-block { margin: 1em 0; }
+.code-block pre { margin: 0; }
+.code-title { padding: 6px 16px; font-family: monospace; font-size: 0.85em; color: var(--muted); background: var(--surface); border: 1px solid var(--border); border-bottom: 0; border-radius: 6px 6px 0 0; }
+.code-title + pre { border-radius: 0 0 6px 6px; }
+.code-line { display: inline-block; min-width: 100%; }
+.code-line.highlighted { background: var(--line-highlight); }
+.line-number { display: inline-block; width: 2.5em; margin-right: 1em; color: var(--muted); text-align: right; user-select: none; }
+.diff-added { background: var(--diff-added); }
+.diff-removed { background: var(--diff-removed); }
+.diff-hunk { color: var(--muted); }
+.diff-marker { user-select: none; }
+.heading-anchor { margin-left: 0.3em; color: var(--muted); text-decoration: none; visibility: hidden; }
+:is(h1, h2, h3, h4, h5, h6):hover .heading-anchor { visibility: visible; }
+nav.toc { padding: 8px 16px; background: var(--surface); border-radius: 6px; }
+.callout { margin: 1em 0; padding: 8px 16px; background: var(--surface); border-left: 4px solid var(--link); border-radius: 6px; }
+.callout-warning, .callout-caution, .callout-danger { border-left-color: var(--error); }
+.callout-title { margin: 0; font-weight: bold; }
+summary.callout-title { cursor: pointer; }
+.callout-icon:not(:empty) { margin-right: 0.4em; }
+.wiki-link-unresolved { color: var(--error); text-decoration: underline dotted; }
+.math-block { overflow-x: auto; }
+.math-error, .katex-error { color: var(--error); }
+.mermaid, .mermaid-svg { margin: 1em 0; text-align: center; }
+.mermaid-error { padding: 8px 16px; border: 1px solid var(--error); border-radius: 6px; }
+.mermaid-error-title { margin: 0; color: var(--error); font-weight: bold; }
+.youtube-embed { width: 100%; aspect-ratio: 16 / 9; border: 0; }
+.sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0, 0, 0, 0); }
+.site { display: flex; align-items: flex-start; }
+.site .markdown-body { flex: 1; min-width: 0; }
+.site-nav { position: sticky; top: 0; flex: 0 0 240px; max-height: 100vh; overflow-y: auto; padding: 32px 16px; box-sizing: border-box; border-right: 1px solid var(--border); font-size: 0.9em; }
+.site-nav ul { margin: 0; padding-left: 1em; list-style: none; }
+.site-nav > ul { padding-left: 0; }
+.site-nav a { text-decoration: none; }
+.site-nav a[aria-current="page"] { font-weight: bold; }
+.site-nav-section { color: var(--muted); }
+.backlinks { margin-top: 2em; padding-top: 1em; border-top: 1px solid var(--border); font-size: 0.9em; }
+@media (max-width: 720px) { .site { display: block; } .site-nav { position: static; max-height: none; border-right: 0; border-bottom: 1px solid var(--border); } }
+`;
+
+/**
+ * Get the CSS for a theme; 'auto' follows the reader's system setting
+ */
+function getThemeCss(theme) {
+  if (theme === 'auto') {
+    return `:root {${LIGHT_COLORS}\n}\n@media (prefers-color-scheme: dark) {\n:root {${DARK_COLORS}\n}\n}\n${BASE_CSS}`;
+  }
+  
+  return `:root {${theme === 'dark' ? DARK_COLORS : LIGHT_COLORS}\n}\n${BASE_CSS}`;
+}
+
+/**
+ * Get the tags for the Prism theme(s) matching a page theme
+ */
+function renderPrismThemeTags(theme, inline) {
+  if (theme === 'auto') {
+    return [
+      renderAssetTag('prismTheme', { inline, media: '(prefers-color-scheme: light)' }),
+      renderAssetTag('prismDarkTheme', { inline, media: '(prefers-color-scheme: dark)' })
+    ];
+  }
+  
+  return [renderAssetTag(theme === 'dark' ? 'prismDarkTheme' : 'prismTheme', { inline })];
+}
+
+/**
+ * Wrap rendered HTML in a complete HTML document
+ * Only the assets the document uses are included: KaTeX CSS and fonts for
+ * math, a Prism theme for highlighted code and mermaid for diagrams
+ * @param {string} html - The rendered HTML
+ * @param {Object} options - Page options
+ * @param {string} options.title - The page title
+ * @param {string} options.theme - 'light', 'dark' or 'auto'
+ * @param {boolean} options.inlineAssets - Embed the assets so the file works offline
+ * @param {boolean} options.hasMath - Include the KaTeX stylesheet
+ * @param {boolean} options.hasHighlighting - Include a Prism theme
+ * @param {boolean} options.hasMermaid - Include and start mermaid
+ * @param {string} [options.sidebar] - Navigation HTML shown beside the content
+ * @returns {string} - The HTML document
+ */
+export function renderStandalonePage(html, { title, theme = 'auto', inlineAssets = false, hasMath, hasHighlighting, hasMermaid, sidebar }) {
+  if (!THEMES.includes(theme)) {
+    throw new Error(`Unknown theme "${theme}", expected one of ${THEMES.join(', ')}`);
+  }
+  
+  const head = [
+    ...(hasMath ? [renderAssetTag('katexCss', { inline: inlineAssets })] : []),
+    ...(hasHighlighting ? renderPrismThemeTags(theme, inlineAssets) : []),
+    `<style>${getThemeCss(theme)}</style>`
+  ];
+  
+  const mermaidTheme = theme === 'auto'
+    ? "matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'default'"
+    : `'${theme === 'dark' ? 'dark' : 'default'}'`;
+  const scripts = hasMermaid
+    ? [
+      renderAssetTag('mermaidScript', { inline: inlineAssets }),
+      `<script>mermaid.initialize({ startOnLoad: true, theme: ${mermaidTheme} });</script>`
+    ]
+    : [];
+  
+  return `<!DOCTYPE html>
+<html lang="en"${theme === 'auto' ? '' : ` data-theme="${theme}"`}>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${head.join('\n')}
+</head>
+<body>
+${sidebar ? `<div class="site">\n${sidebar}\n` : ''}<main class="markdown-body">
+${html}</main>
+${sidebar ? '</div>\n' : ''}${scripts.map(tag => `${tag}\n`).join('')}</body>
+</html>
+`;
+}
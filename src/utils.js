@@ -0,0 +1,153 @@
+// require() for loading package files synchronously, null outside Node;
+// looking it up at runtime keeps a static import of 'module' out of browser bundles.
+// process.getBuiltinModule() needs Node 20.16, older versions import it
+const isNode = typeof process !== 'undefined' && Boolean(process.versions && process.versions.node);
+const nodeModuleName = 'module';
+const nodeModule = !isNode ? null
+  : typeof process.getBuiltinModule === 'function' ? process.getBuiltinModule(nodeModuleName)
+  : await import(nodeModuleName);
+
+export const nodeRequire = nodeModule ? nodeModule.createRequire(import.meta.url) : null;
+
+/**
+ * Create a function that turns offsets into 1-based line and column positions
+ * Line starts are computed once, so looking up every token stays fast
+ * @param {string} source - The source text
+ * @returns {function(number): Object} - offset => { line, column, offset }
+ */
+export function createPositionLookup(source) {
+  const lineStarts = [0];
+  for (let index = source.indexOf('\n'); index >= 0; index = source.indexOf('\n', index + 1)) {
+    lineStarts.push(index + 1);
+  }
+  
+  return offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1, offset };
+  };
+}
+
+/**
+ * Follow a path like [2, 'items', 0, 'tokens', 1] from a list of tokens
+ * @param {Array} tokens - The top-level tokens
+ * @param {Array<number|string>} path - Path as recorded in the AST
+ * @returns {Object|undefined} The token at the path
+ */
+export function getTokenAtPath(tokens, path) {
+  const [first, ...rest] = path;
+  return rest.reduce((node, key) => node && node[key], tokens[first]);
+}
+
+/**
+ * Visit every token in document order, including list items and table cells
+ * @param {Array} tokens - The tokens to walk
+ * @param {function(Object): void} visit - Called with each token
+ * @param {Object} [childTokens] - Extension token type => names of the properties holding
+ *   its children, as marked's extensions declare them; these replace the usual tokens
+ */
+export function walkTokens(tokens, visit, childTokens = {}) {
+  tokens.forEach(token => {
+    visit(token);
+    
+    if (childTokens[token.type]) {
+      childTokens[token.type].forEach(name => walkTokens([token[name]].flat(Infinity).filter(Boolean), visit, childTokens));
+      return;
+    }
+    
+    if (token.tokens) {
+      walkTokens(token.tokens, visit, childTokens);
+    }
+    
+    if (token.items) {
+      walkTokens(token.items, visit, childTokens);
+    }
+    
+    if (token.type === 'table') {
+      walkTokens(token.header, visit, childTokens);
+      token.rows.forEach(row => walkTokens(row, visit, childTokens));
+    }
+  });
+}
+
+/**
+ * Helper function to escape HTML special characters
+ * Safe for both text content and double- or single-quoted attribute values;
+ * every renderer that writes source text or attributes goes through this
+ */
+export function escapeHtml(string) {
+  return String(string)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render an attributes object as HTML attributes, each with a leading space
+ * @param {Object} attributes - Attribute names and values, e.g. { id: 'intro', class: 'lead' }
+ * @returns {string} - e.g. ' id="intro" class="lead"', or '' if there are none
+ */
+export function renderAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join('');
+}
+
+/**
+ * Hash a string to a hex key for caching by content (cyrb53)
+ * Not cryptographic; the same in Node and the browser
+ * @param {string} string - The content
+ * @returns {string} - 14 hex digits
+ */
+export function hashString(string) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let index = 0; index < string.length; index++) {
+    const code = string.charCodeAt(index);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  
+  return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0').slice(2);
+}
+
+/**
+ * Create a cache that forgets the least recently used entry once it is full
+ * @param {number} limit - Maximum number of entries
+ * @returns {Object} - { get(key), set(key, value), clear() }
+ */
+export function createCache(limit) {
+  const entries = new Map();
+  
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > limit) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+}
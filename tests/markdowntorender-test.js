@@ -7,9 +7,12 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { promises as fs } from 'fs';
 import * as fsSync from 'fs';
+import os from 'os';
+import { Readable } from 'stream';
 
 // Import the MarkdownRenderer class
-import MarkdownRenderer from '../src/markdowntorender.js';
+import MarkdownRenderer, { AST_VERSION, MathRenderError, DiagramError, ParseError, buildSite, toggleTask, lookupNode } from '../src/markdowntorender.js';
+import { run as runCli } from '../src/cli.js';
 
 // Get the directory name
 const __filename = fileURLToPath(import.meta.url);
@@ -23,98 +26,1506 @@ const OUTPUT_FILE = path.join(OUTPUT_DIR, '@markdowntorender-results.html');
 const renderer = new MarkdownRenderer();
 
 // Create a function to render markdown using the AST approach
-function renderMarkdown(markdown) {
-  return renderer.render(markdown);
+// Test cases with their own options get a dedicated renderer
+function renderMarkdown(markdown, options) {
+  return options ? new MarkdownRenderer(options).render(markdown) : renderer.render(markdown);
 }
 
+// Run a render that should throw, and describe what it threw
+async function describeError(render) {
+  try {
+    await render();
+    return '<p>No error</p>';
+  } catch (error) {
+    return `<p>${error.constructor.name} at ${error.line}:${error.column}</p>`;
+  }
+}
+
+// Build a fixture once for all the cases that look at it
+function once(build) {
+  let result;
+  return (...args) => result ??= build(...args);
+}
+
+// Run the CLI on stdin, a directory tree and single files in a temporary directory
+const runCommandLine = once(async markdown => {
+  const capture = () => ({ text: '', write(chunk) { this.text += chunk; } });
+  const cli = async (args, input = '') => {
+    const stdout = capture();
+    const stderr = capture();
+    const code = await runCli(args, { stdin: Readable.from([input]), stdout, stderr });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  };
+  
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'markdowntorender-cli-'));
+  try {
+    await fs.mkdir(path.join(directory, 'docs', 'guide'), { recursive: true });
+    await fs.writeFile(path.join(directory, 'docs', 'index.md'), '---\ntitle: Home\n---\nSome $x^2$ math.');
+    await fs.writeFile(path.join(directory, 'docs', 'guide', 'start.md'), '# Start');
+    await fs.writeFile(path.join(directory, 'broken.md'), 'Bad $\\frac{1$ formula.');
+    
+    return {
+      stdin: await cli([], markdown),
+      site: await cli([path.join(directory, 'docs'), '--out', path.join(directory, 'site'), '--standalone']),
+      page: await fs.readFile(path.join(directory, 'site', 'index.html'), 'utf8'),
+      nested: await fs.readFile(path.join(directory, 'site', 'guide', 'start.html'), 'utf8'),
+      json: await cli(['--format', 'json'], markdown),
+      strict: await cli([path.join(directory, 'broken.md'), '--strict']),
+      lenient: await cli([path.join(directory, 'broken.md')]),
+      invalid: await cli(['--format', 'xml'])
+    };
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+// Build a site from index.md plus a guide page and an image in a temporary directory
+const buildTestSite = once(async markdown => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'markdowntorender-site-'));
+  const source = path.join(directory, 'docs');
+  const output = path.join(directory, 'site');
+  
+  try {
+    await fs.mkdir(path.join(source, 'guide'), { recursive: true });
+    await fs.mkdir(path.join(source, 'images'));
+    await fs.writeFile(path.join(source, 'index.md'), markdown);
+    await fs.writeFile(path.join(source, 'guide', 'start.md'), '---\norder: 1\n---\n# Getting Started\n\n## Install\n\nBack [home](../index.md#nope), [odd](100%.md) and [this](#50%).');
+    await fs.writeFile(path.join(source, 'images', 'logo.png'), 'png');
+    
+    const warnings = [];
+    const result = await buildSite(source, output, { onWarning: warning => warnings.push(warning) });
+    return {
+      result,
+      warnings,
+      home: await fs.readFile(path.join(output, 'index.html'), 'utf8'),
+      guide: await fs.readFile(path.join(output, 'guide', 'start.html'), 'utf8'),
+      searchIndex: JSON.parse(await fs.readFile(path.join(output, 'search-index.json'), 'utf8')),
+      imageCopied: fsSync.existsSync(path.join(output, 'images', 'logo.png'))
+    };
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+// Build a site of two pages with wiki links in a temporary directory; markdown is getting-started.md
+const buildWikiSite = once(async markdown => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'markdowntorender-wiki-'));
+  try {
+    await fs.mkdir(path.join(directory, 'docs'));
+    await fs.writeFile(path.join(directory, 'docs', 'getting-started.md'), markdown);
+    await fs.writeFile(path.join(directory, 'docs', 'reference.md'), '# API Reference\n\n## Options');
+    
+    const warnings = [];
+    const site = await buildSite(path.join(directory, 'docs'), path.join(directory, 'site'), { onWarning: warning => warnings.push(warning) });
+    return {
+      site,
+      warnings,
+      reference: await fs.readFile(path.join(directory, 'site', 'reference.html'), 'utf8'),
+      start: await fs.readFile(path.join(directory, 'site', 'getting-started.html'), 'utf8')
+    };
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+// The main element of a page
+function mainOf(page) {
+  return page.slice(page.indexOf('<main'), page.indexOf('</main>'));
+}
+
+// Render markdown with update(), then again with the first paragraph edited,
+// recording which paragraphs were rendered
+function updateTwice(markdown) {
+  const rendered = [];
+  const counting = new MarkdownRenderer({
+    plugins: [{
+      renderers: {
+        paragraph(token) {
+          rendered.push(token.text);
+          return false;
+        }
+      }
+    }]
+  });
+  
+  const first = counting.update(null, markdown);
+  const firstRendered = rendered.slice();
+  const edited = markdown.replace('First paragraph', 'Edited paragraph');
+  const second = counting.update(first, edited);
+  return { first, second, edited, firstRendered, secondRendered: rendered.slice(firstRendered.length), counting };
+}
+
+// Describe a standalone page: doctype, theme, title and the assets it links
+function describePage(page) {
+  const theme = (page.match(/^<html lang="en"(?: data-theme="(\w+)")?>$/m) || [])[1] || 'auto';
+  const title = (page.match(/<title>(.*?)<\/title>/) || [])[1];
+  const assets = Array.from(page.matchAll(/<link rel="stylesheet" href="([^"]+)">|<script src="([^"]+)">/g), match => match[1] || match[2]);
+  return `<p>${page.startsWith('<!DOCTYPE html>') ? 'HTML5' : 'Unknown'} page, ${theme} theme, title "${title}", ` +
+    `${(page.match(/<script/g) || []).length} scripts</p>\n<ul>${assets.map(url => `<li>${url}</li>`).join('')}</ul>`;
+}
+
+// Every block type that writes source text, with a payload of <, & and quotes;
+// `expect` is what the escaped payload must look like in the output
+const ESCAPING_PAYLOAD = `<b>&"'`;
+const ESCAPING_MATRIX = [
+  { block: 'fenced code without language', markdown: `\`\`\`\n${ESCAPING_PAYLOAD}\n\`\`\``, expect: '&lt;b&gt;&amp;&quot;&#39;' },
+  { block: 'fenced code with unknown language', markdown: `\`\`\`nolang\n${ESCAPING_PAYLOAD}\n\`\`\``, expect: '&lt;b&gt;&amp;&quot;&#39;' },
+  { block: 'fenced code with Prism grammar', markdown: `\`\`\`html\n${ESCAPING_PAYLOAD}\n\`\`\``, expect: '&lt;</span>b' },
+  { block: 'language in info string', markdown: `\`\`\`x"onclick="y\ncode\n\`\`\``, expect: 'class="language-x&quot;onclick=&quot;y"' },
+  { block: 'mermaid diagram', markdown: `\`\`\`mermaid\ngraph TD; A["${ESCAPING_PAYLOAD}"]\n\`\`\``, expect: 'A[&quot;&lt;b&gt;&amp;&quot;&#39;&quot;]' },
+  { block: 'math code block with KaTeX error', markdown: `\`\`\`math\n\\frac{${ESCAPING_PAYLOAD}\n\`\`\``, expect: 'katex-error' },
+  { block: 'inline math with KaTeX error', markdown: `Broken $\\frac{${ESCAPING_PAYLOAD}$ math`, expect: 'katex-error' },
+  { block: 'block math with KaTeX error', markdown: `$$\n\\frac{${ESCAPING_PAYLOAD}\n$$`, expect: 'katex-error' },
+  { block: 'inline code', markdown: `Inline \`${ESCAPING_PAYLOAD}\` code`, expect: '<code>&lt;b&gt;&amp;&quot;&#39;</code>' },
+  { block: 'code in a table cell', markdown: `| a |\n|---|\n| \`${ESCAPING_PAYLOAD}\` |`, expect: '<code>&lt;b&gt;&amp;&quot;&#39;</code>' },
+  { block: 'code in a list item', markdown: `- item\n\n  \`\`\`\n  ${ESCAPING_PAYLOAD}\n  \`\`\``, expect: '&lt;b&gt;&amp;&quot;&#39;' },
+  { block: 'YouTube title', markdown: `@[youtube](JstToSe6BsQ "<b>&'")`, expect: 'alt="&lt;b&gt;&amp;&#39;"' }
+];
+
 // Define individual test cases for each Markdown feature
 const TEST_CASES = [
   {
-    name: 'Headings',
-    description: 'Markdown supports six levels of headings using # symbols',
-    markdown: `# Heading 1
-## Heading 2
-### Heading 3
-#### Heading 4
-##### Heading 5
-###### Heading 6`,
-    criteria: 'All six heading levels should be rendered with appropriate h1-h6 tags'
+    name: 'Headings',
+    description: 'Markdown supports six levels of headings using # symbols',
+    markdown: `# Heading 1
+## Heading 2
+### Heading 3
+#### Heading 4
+##### Heading 5
+###### Heading 6`,
+    criteria: 'All six heading levels should be rendered with appropriate h1-h6 tags'
+  },
+  {
+    name: 'Basic Formatting',
+    description: 'Styling text with italic, bold, and strikethrough',
+    markdown: `Regular paragraph with *italic*, **bold**, and ***bold italic*** text.
+Also _italic_, __bold__, and ___bold italic___ using underscores.
+~~Strikethrough~~ is also supported.`,
+    criteria: 'Text should be properly styled with em, strong, and del tags'
+  },
+  {
+    name: 'Unordered Lists',
+    description: 'Creating bulleted lists with *, -, or + symbols',
+    markdown: `* Item 1
+* Item 2
+  * Nested item 1
+  * Nested item 2
+* Item 3
+
+- Alternative item 1
+- Alternative item 2
+
++ Another alternative item 1
++ Another alternative item 2`,
+    criteria: 'Lists should be rendered with ul and li tags, including proper nesting'
+  },
+  {
+    name: 'Ordered Lists',
+    description: 'Creating numbered lists with automatic numbering',
+    markdown: `1. First item
+2. Second item
+   1. Nested item 1
+   2. Nested item 2
+3. Third item`,
+    criteria: 'Numbered lists should be rendered with ol and li tags with proper nesting'
+  },
+  {
+    name: 'Task Lists',
+    description: 'GitHub-flavored Markdown task lists with checkboxes',
+    markdown: `- [x] Completed task
+- [ ] Incomplete task
+- [x] Another completed task
+  - [ ] Nested task`,
+    criteria: 'Task lists should include checkboxes (may require extension support)'
+  },
+  {
+    name: 'Inline Code',
+    description: 'Inline code with backticks',
+    markdown: `Use \`inline code\` to refer to code within text.
+
+The \`console.log()\` function outputs to the console.`,
+    criteria: 'Inline code should be wrapped in code tags'
+  },
+  {
+    name: 'Code Blocks',
+    description: 'Code blocks with triple backticks and optional language specification',
+    markdown: `\`\`\`javascript
+// Code block with syntax highlighting
+function greet(name) {
+  return \`Hello, \${name}!\`;
+}
+console.log(greet('World'));
+\`\`\`
+
+\`\`\`python
+# Python example
+def greet(name):
+    return f"Hello, {name}!"
+    
+print(greet("World"))
+\`\`\`
+
+\`\`\`
+Plain code block without language specification
+No syntax highlighting applied
+\`\`\``,
+    criteria: 'Code blocks should be rendered with pre and code tags, with optional language-specific highlighting'
+  },
+  {
+    name: 'Prism Language Loading',
+    description: 'Languages beyond JavaScript are loaded on demand, with dependencies and aliases',
+    markdown: `\`\`\`python
+def greet(name):
+    return name
+\`\`\`
+
+\`\`\`cpp
+int main() { return 0; }
+\`\`\`
+
+\`\`\`yml
+key: value
+\`\`\`
+
+\`\`\`sh
+echo "hi"
+\`\`\``,
+    criteria: 'Python, C++ (which needs C), yml and sh blocks are all highlighted by Prism',
+    strict: true
+  },
+  {
+    name: 'Code Block Metadata',
+    description: 'Titles, line numbers and highlighted lines from the fence info string',
+    markdown: `\`\`\`js title="app.js" {2-3} showLineNumbers
+const a = 1;
+/* spans
+two lines */
+let b = 2;
+\`\`\`
+
+\`\`\`python showLineNumbers=10
+x = 1
+\`\`\``,
+    criteria: 'A filename header, a numbered gutter, highlighted lines 2-3, and Prism tokens kept balanced on every line',
+    strict: true
+  },
+  {
+    name: 'Diff Code Blocks',
+    description: 'diff-<lang> fences mark changed lines and highlight them as <lang>',
+    markdown: `\`\`\`diff-python
+@@ -1,2 +1,2 @@
+ def total(items):
+-    return 0
++    return sum(items)
+\`\`\``,
+    render: markdown => {
+      const diffRenderer = new MarkdownRenderer();
+      const languages = diffRenderer.parse(markdown).codeLanguages;
+      return diffRenderer.render(markdown) + `<p>languages: ${languages.join(',')}</p>`;
+    },
+    criteria: 'Hunk header, context, removed and added lines are marked, the code is highlighted as Python and python is reported as the language',
+    strict: true
+  },
+  {
+    name: 'Heading Anchors',
+    description: 'GitHub-compatible heading ids, permalinks and a [[toc]] placeholder',
+    markdown: `[[toc]]
+
+# Intro
+
+## Intro
+
+### Q&A: \`code\` and **bold**
+
+# Next`,
+    options: { headingAnchors: true },
+    criteria: 'Headings get de-duplicated slugs and permalinks, and the table of contents nests them',
+    strict: true
+  },
+  {
+    name: 'Front Matter',
+    description: 'YAML and TOML front matter is stripped, exposed and substituted into the page',
+    markdown: `---
+title: Release Notes
+version: 2.1
+author:
+  name: Ada
+---
+# {{ page.title }}
+
+Version {{ page.version }} by {{ page.author.name }}, {{ page.missing }} stays.`,
+    criteria: 'No horizontal rule or raw YAML is rendered and placeholders are filled in',
+    strict: true
+  },
+  {
+    name: 'Front Matter Data',
+    description: 'renderDocument() returns the front matter, nested mappings included',
+    markdown: `---
+title: Release Notes
+author:
+  name: Ada
+---
+Text`,
+    render(markdown) {
+      const { frontMatter } = renderer.renderDocument(markdown);
+      return `<p>${frontMatter.title} by ${frontMatter.author.name}</p>`;
+    },
+    criteria: 'The title and the nested author name are returned',
+    strict: true
+  },
+  {
+    name: 'TOML Front Matter',
+    description: '+++ fences hold TOML front matter',
+    markdown: `+++
+title = "TOML"
++++
+{{ page.title }}`,
+    render(markdown) {
+      const { html, frontMatter } = renderer.renderDocument(markdown);
+      return `${html}<p>Title: ${frontMatter.title}</p>`;
+    },
+    criteria: 'The placeholder is filled in and the title is returned',
+    strict: true
+  },
+  {
+    name: 'Front Matter Needs A Mapping',
+    description: 'A block that does not parse to a mapping is not front matter',
+    markdown: `---
+
+Not front matter
+
+---`,
+    render(markdown) {
+      const { html, frontMatter } = renderer.renderDocument(markdown);
+      return `${html}<p>Front matter: ${frontMatter}</p>`;
+    },
+    criteria: 'The rules and the paragraph are rendered and there is no front matter',
+    strict: true
+  },
+  {
+    name: 'Heading Between Rules',
+    description: 'A document starting with a rule, a heading and another rule keeps its heading',
+    markdown: `---
+# Intro
+---
+Text`,
+    criteria: 'The heading is rendered between two rules',
+    strict: true
+  },
+  {
+    name: 'Placeholders In Code',
+    description: 'Placeholders in code spans and fenced code blocks are left untouched',
+    markdown: `+++
+title = "T"
++++
+\`{{ page.title }}\` is {{ page.title }}
+
+\`\`\`md
+{{ page.title }}
+\`\`\``,
+    criteria: 'Only the placeholder outside code is filled in',
+    strict: true
+  },
+  {
+    name: 'Render Info',
+    description: 'renderWithInfo() returns the HTML with assets, statistics and warnings',
+    markdown: `# Guide
+
+Read the [docs](https://example.com/docs) first. ![Logo](logo.png)
+
+Broken $\\frac{1$ formula.
+
+\`\`\`nosuchlang
+code
+\`\`\`
+
+\`\`\`python
+print("hi")
+\`\`\``,
+    render(markdown) {
+      return renderer.renderWithInfo(markdown).html;
+    },
+    criteria: 'The HTML is returned as render() would, with the invalid formula in red',
+    strict: true
+  },
+  {
+    name: 'Render Info Assets',
+    description: 'The info lists the code languages and the client assets the HTML needs',
+    markdown: `# Guide
+
+Read the [docs](https://example.com/docs) first. ![Logo](logo.png)
+
+Broken $\\frac{1$ formula.
+
+\`\`\`nosuchlang
+code
+\`\`\`
+
+\`\`\`python
+print("hi")
+\`\`\``,
+    render(markdown) {
+      const { info } = renderer.renderWithInfo(markdown);
+      return `<p>Languages: ${info.codeLanguages.join(', ')}; math: ${info.hasMath}; mermaid: ${info.hasMermaid}</p>\n` +
+        `<ul>${info.assets.styles.map(url => `<li>${url}</li>`).join('')}</ul>\n<p>${info.assets.scripts.length} scripts</p>`;
+    },
+    criteria: 'KaTeX and Prism styles and no scripts',
+    strict: true
+  },
+  {
+    name: 'Render Info Statistics',
+    description: 'The info counts the words of the prose and estimates the reading time',
+    markdown: `# Guide
+
+Read the [docs](https://example.com/docs) first. ![Logo](logo.png)
+
+Broken $\\frac{1$ formula.
+
+\`\`\`nosuchlang
+code
+\`\`\`
+
+\`\`\`python
+print("hi")
+\`\`\``,
+    render(markdown) {
+      const { info } = renderer.renderWithInfo(markdown);
+      return `<p>${info.wordCount} words, ${info.readingTime} min</p>`;
+    },
+    criteria: '7 words, 1 minute',
+    strict: true
+  },
+  {
+    name: 'Render Info Outline',
+    description: 'The info lists the headings, links and images',
+    markdown: `# Guide
+
+Read the [docs](https://example.com/docs) first. ![Logo](logo.png)
+
+Broken $\\frac{1$ formula.
+
+\`\`\`nosuchlang
+code
+\`\`\`
+
+\`\`\`python
+print("hi")
+\`\`\``,
+    render(markdown) {
+      const { info } = renderer.renderWithInfo(markdown);
+      return [
+        ...info.headings.map(heading => `<p>Heading: #${heading.id}</p>`),
+        ...info.links.map(link => `<p>Link: ${link.href}</p>`),
+        ...info.images.map(image => `<p>Image: ${image.src} "${image.alt}"</p>`)
+      ].join('\n');
+    },
+    criteria: 'One heading, one link and one image with its alt text',
+    strict: true
+  },
+  {
+    name: 'Render Info Warnings',
+    description: 'The info lists the problems that did not stop rendering, with their lines',
+    markdown: `# Guide
+
+Read the [docs](https://example.com/docs) first. ![Logo](logo.png)
+
+Broken $\\frac{1$ formula.
+
+\`\`\`nosuchlang
+code
+\`\`\`
+
+\`\`\`python
+print("hi")
+\`\`\``,
+    render(markdown) {
+      const { info } = renderer.renderWithInfo(markdown);
+      return `<ul>${info.warnings.map(warning => `<li>${warning.type} at line ${warning.line}: ${warning.message}</li>`).join('')}</ul>`;
+    },
+    criteria: 'The formula warning on line 5 and the language warning on line 7',
+    strict: true
+  },
+  {
+    name: 'Strict Mode',
+    description: 'Strict mode throws a MathRenderError with the location of an invalid formula',
+    markdown: `Intro
+
+Broken $\\frac{1$ formula.`,
+    render(markdown) {
+      return describeError(() => new MarkdownRenderer({ strict: true }).render(markdown));
+    },
+    criteria: 'MathRenderError at line 3, column 8',
+    strict: true
+  },
+  {
+    name: 'Strict Front Matter',
+    description: 'Strict mode throws a ParseError for front matter that does not parse',
+    markdown: `---
+title: [unclosed
+---
+Text`,
+    render(markdown) {
+      return describeError(() => new MarkdownRenderer({ strict: true }).render(markdown));
+    },
+    criteria: 'ParseError at line 3',
+    strict: true
+  },
+  {
+    name: 'Strict Diagrams',
+    description: 'Strict mode throws a DiagramError with the location of an invalid diagram',
+    markdown: `Text
+
+\`\`\`mermaid
+graph TD; A-->
+\`\`\``,
+    render(markdown) {
+      return describeError(() => new MarkdownRenderer({ strict: true, mermaidRenderer: async () => '<svg></svg>' }).renderAsync(markdown));
+    },
+    criteria: 'DiagramError at line 3, column 1',
+    strict: true
+  },
+  {
+    name: 'Warnings',
+    description: 'Lenient mode reports problems to onWarning with their locations',
+    markdown: `Broken $\\frac{1$ formula.
+
+\`\`\`nosuchlang
+code
+\`\`\``,
+    render(markdown) {
+      const warnings = [];
+      const html = new MarkdownRenderer({ onWarning: warning => warnings.push(warning) }).render(markdown);
+      return html + `<ul>${warnings.map(warning => `<li>${warning.type} at ${warning.line}:${warning.column}</li>`).join('')}</ul>`;
+    },
+    criteria: 'The formula still renders in red, and both problems reach onWarning',
+    strict: true
+  },
+  {
+    name: 'Warning Logger',
+    description: 'Lenient mode passes problems to the logger option with their locations',
+    markdown: `Broken $\\frac{1$ formula.
+
+\`\`\`nosuchlang
+code
+\`\`\``,
+    render(markdown) {
+      const logged = [];
+      new MarkdownRenderer({
+        logger: { warn: message => logged.push(message), error: message => logged.push(message) }
+      }).render(markdown);
+      return `<ul>${logged.map(message => `<li>${message}</li>`).join('')}</ul>`;
+    },
+    criteria: 'Both problems are logged, with their line and column',
+    strict: true
+  },
+  {
+    name: 'Silent Console',
+    description: 'Problems are never written to the console, with or without onWarning and a logger',
+    markdown: `Broken $\\frac{1$ formula.
+
+\`\`\`nosuchlang
+code
+\`\`\``,
+    render(markdown) {
+      const consoleCalls = [];
+      const originalConsole = { warn: console.warn, error: console.error, log: console.log };
+      ['warn', 'error', 'log'].forEach(method => { console[method] = (...args) => consoleCalls.push(args); });
+      
+      try {
+        new MarkdownRenderer({ onWarning: () => {}, logger: { warn() {}, error() {} } }).render(markdown);
+        new MarkdownRenderer().render(markdown);
+      } finally {
+        Object.assign(console, originalConsole);
+      }
+      return `<p>${consoleCalls.length} console calls</p>`;
+    },
+    criteria: 'Nothing is written to the console',
+    strict: true
+  },
+  {
+    name: 'Standalone Document',
+    description: 'renderStandalone() wraps the HTML in a complete page',
+    markdown: `# Report
+
+Energy is $E = mc^2$.
+
+\`\`\`js
+const answer = 42;
+\`\`\``,
+    render(markdown) {
+      const page = renderer.renderStandalone(markdown, { theme: 'dark' });
+      return page.slice(page.indexOf('<main'), page.indexOf('</main>'));
+    },
+    criteria: 'The rendered markdown is the main element of the page',
+    strict: true
+  },
+  {
+    name: 'Standalone Head',
+    description: 'A standalone page links only the assets its content needs, in the chosen theme',
+    markdown: `# Report
+
+Energy is $E = mc^2$.
+
+\`\`\`js
+const answer = 42;
+\`\`\``,
+    render(markdown) {
+      return describePage(renderer.renderStandalone(markdown, { theme: 'dark' }));
+    },
+    criteria: 'A dark page titled after the first heading, with KaTeX and the dark Prism theme and no scripts',
+    strict: true
+  },
+  {
+    name: 'Standalone Diagrams',
+    description: 'A standalone page with diagrams loads and starts mermaid, and follows the system theme by default',
+    markdown: `\`\`\`mermaid
+graph TD; A-->B
+\`\`\``,
+    render(markdown) {
+      const page = renderer.renderStandalone(markdown, { title: 'Flow' });
+      return describePage(page) + `\n<p>Initialized: ${page.includes('mermaid.initialize(')}; dark styles: ${page.includes('@media (prefers-color-scheme: dark)')}</p>`;
+    },
+    criteria: 'The mermaid script is loaded and initialized, KaTeX is not, and the page has dark styles for the system theme',
+    strict: true
+  },
+  {
+    name: 'Standalone Offline',
+    description: 'inlineAssets embeds the styles and fonts instead of linking the CDN',
+    markdown: `# Report
+
+Energy is $E = mc^2$.
+
+\`\`\`js
+const answer = 42;
+\`\`\``,
+    render(markdown) {
+      const page = renderer.renderStandalone(markdown, { theme: 'light', inlineAssets: true });
+      return `<p>CDN references: ${(page.match(/cdn\.jsdelivr\.net/g) || []).length}; ` +
+        `embedded fonts: ${page.includes('data:font/woff2;base64,')}; Prism styles: ${page.includes('.token.comment')}</p>`;
+    },
+    criteria: 'No CDN references, with embedded fonts and Prism styles',
+    strict: true
+  },
+  {
+    name: 'Command Line',
+    description: 'The CLI renders stdin to stdout',
+    markdown: `# From stdin`,
+    async render(markdown) {
+      const { stdin } = await runCommandLine(markdown);
+      return stdin.stdout + `<p>Exit code ${stdin.code}</p>`;
+    },
+    criteria: 'Stdin is rendered to stdout and the exit code is 0',
+    strict: true
+  },
+  {
+    name: 'CLI Directory',
+    description: 'The CLI renders a directory tree to standalone pages in the same structure',
+    markdown: `# From stdin`,
+    async render(markdown) {
+      const { site, page, nested } = await runCommandLine(markdown);
+      return `<p>Exit code ${site.code}</p>\n${describePage(page)}\n${mainOf(nested)}`;
+    },
+    criteria: 'index.md becomes a page titled from its front matter with KaTeX, and guide/start.md becomes guide/start.html',
+    strict: true
+  },
+  {
+    name: 'CLI JSON',
+    description: '--format json writes the AST',
+    markdown: `# From stdin`,
+    async render(markdown) {
+      const { json } = await runCommandLine(markdown);
+      return `<p>Exit code ${json.code}, ${JSON.parse(json.stdout).type} node</p>`;
+    },
+    criteria: 'A document node',
+    strict: true
+  },
+  {
+    name: 'CLI Strict',
+    description: '--strict fails a file with an invalid formula and reports where',
+    markdown: `# From stdin`,
+    async render(markdown) {
+      const { strict } = await runCommandLine(markdown);
+      return `<p>Exit code ${strict.code}</p>\n<pre>${strict.stderr}</pre>`;
+    },
+    criteria: 'Exit code 1 and file:line:column: message on stderr',
+    strict: true
+  },
+  {
+    name: 'CLI Lenient',
+    description: 'Without --strict an invalid formula is a warning',
+    markdown: `# From stdin`,
+    async render(markdown) {
+      const { lenient } = await runCommandLine(markdown);
+      return `<p>Exit code ${lenient.code}</p>\n<pre>${lenient.stderr}</pre>`;
+    },
+    criteria: 'Exit code 0 and a warning on stderr',
+    strict: true
+  },
+  {
+    name: 'CLI Usage',
+    description: 'Invalid arguments exit with the usage code',
+    markdown: `# From stdin`,
+    async render(markdown) {
+      const { invalid } = await runCommandLine(markdown);
+      return `<p>Exit code ${invalid.code}</p>`;
+    },
+    criteria: '--format xml exits with 2',
+    strict: true
+  },
+  {
+    name: 'Site Build',
+    description: 'buildSite() turns a folder of markdown into linked pages with navigation',
+    markdown: `---
+title: Welcome
+---
+# Home
+
+Read [the guide](guide/start.md#install) and [a missing page](missing.md).
+
+![Logo](images/logo.png)`,
+    async render(markdown) {
+      const { home } = await buildTestSite(markdown);
+      return home.slice(home.indexOf('<div class="site">'), home.indexOf('</main>'));
+    },
+    criteria: 'Links are rewritten to .html, the sidebar follows the folders and broken links are left alone',
+    strict: true
+  },
+  {
+    name: 'Site Pages',
+    description: 'Every markdown file becomes a page, and the images it uses are copied',
+    markdown: `---
+title: Welcome
+---
+# Home
+
+Read [the guide](guide/start.md#install) and [a missing page](missing.md).
+
+![Logo](images/logo.png)`,
+    async render(markdown) {
+      const { result, imageCopied } = await buildTestSite(markdown);
+      return `<p>Pages: ${result.pages.map(page => page.output).join(', ')}</p>\n<p>Image copied: ${imageCopied}</p>`;
+    },
+    criteria: 'guide/start.html and index.html, and the logo is copied',
+    strict: true
+  },
+  {
+    name: 'Site Nested Page',
+    description: 'Links from a page in a subfolder go up to the right page, and the sidebar marks the current page',
+    markdown: `---
+title: Welcome
+---
+# Home
+
+Read [the guide](guide/start.md#install) and [a missing page](missing.md).
+
+![Logo](images/logo.png)`,
+    async render(markdown) {
+      const { guide } = await buildTestSite(markdown);
+      return guide.slice(guide.indexOf('<div class="site">'), guide.indexOf('</main>'));
+    },
+    criteria: 'The link home goes to ../index.html and Getting Started is the current page',
+    strict: true
+  },
+  {
+    name: 'Site Broken Links',
+    description: 'Links to missing pages, headings and images are reported with their location',
+    markdown: `---
+title: Welcome
+---
+# Home
+
+Read [the guide](guide/start.md#install) and [a missing page](missing.md).
+
+![Logo](images/logo.png)`,
+    async render(markdown) {
+      const { result, warnings } = await buildTestSite(markdown);
+      return `<ul>${result.brokenLinks.map(link => `<li>${link.type} at ${link.line}:${link.column}</li>`).join('')}</ul>\n` +
+        `<ul>${warnings.map(warning => `<li>${warning.type} warning</li>`).join('')}</ul>`;
+    },
+    criteria: 'Two missing anchors and two missing pages, each also passed to onWarning',
+    strict: true
+  },
+  {
+    name: 'Site Search Index',
+    description: 'search-index.json lists every page with its headings',
+    markdown: `---
+title: Welcome
+---
+# Home
+
+Read [the guide](guide/start.md#install) and [a missing page](missing.md).
+
+![Logo](images/logo.png)`,
+    async render(markdown) {
+      const { searchIndex } = await buildTestSite(markdown);
+      return `<ul>${searchIndex.map(entry => `<li>${entry.url}: ${entry.headings.join(', ')}</li>`).join('')}</ul>`;
+    },
+    criteria: 'The guide comes first, with both its headings',
+    strict: true
+  },
+  {
+    name: 'Wiki Links',
+    description: '[[Page]] links go through the wikiLinkResolver option',
+    markdown: `See [[Home]], [[Home#Getting Started|the intro]] and [[#Notes]].
+
+[[Missing Page]] is not written yet.
+
+## Notes`,
+    render(markdown) {
+      return new MarkdownRenderer({ wikiLinkResolver: target => target === 'Home' ? 'home.html' : null }).render(markdown);
+    },
+    criteria: 'Resolved links point to the resolver URL plus the heading id, unresolved ones get their own class',
+    strict: true
+  },
+  {
+    name: 'Wiki Link Info',
+    description: 'renderWithInfo() lists the wiki links and warns about the unresolved ones',
+    markdown: `See [[Home]], [[Home#Getting Started|the intro]] and [[#Notes]].
+
+[[Missing Page]] is not written yet.
+
+## Notes`,
+    render(markdown) {
+      const resolver = new MarkdownRenderer({ wikiLinkResolver: target => target === 'Home' ? 'home.html' : null });
+      const { info } = resolver.renderWithInfo(markdown);
+      return `<p>Resolved: ${info.wikiLinks.map(link => link.resolved).join(', ')}</p>\n` +
+        `<ul>${info.warnings.map(warning => `<li>${warning.type} at line ${warning.line}</li>`).join('')}</ul>`;
+    },
+    criteria: 'The first three links resolve, and the missing page is a warning on line 3',
+    strict: true
+  },
+  {
+    name: 'Site Wiki Links',
+    description: 'buildSite() resolves wiki links to pages by title and to their headings',
+    markdown: `# Getting Started
+
+See [[Reference#Options]] and [[Nowhere]].`,
+    async render(markdown) {
+      const { start } = await buildWikiSite(markdown);
+      return mainOf(start);
+    },
+    criteria: 'The link to Reference#Options goes to reference.html#options',
+    strict: true
+  },
+  {
+    name: 'Backlinks',
+    description: 'Site pages list the pages that link to them',
+    markdown: `# Getting Started
+
+See [[Reference#Options]] and [[Nowhere]].`,
+    async render(markdown) {
+      const { site, reference } = await buildWikiSite(markdown);
+      const page = site.pages.find(entry => entry.source === 'reference.md');
+      return `${reference.slice(reference.indexOf('<section class="backlinks">'), reference.indexOf('</section>') + 10)}\n<p>Backlinks: ${page.backlinks.join(', ')}</p>`;
+    },
+    criteria: 'The reference page is linked from getting-started.md',
+    strict: true
+  },
+  {
+    name: 'Broken Wiki Links',
+    description: 'Site wiki links to pages that do not exist are reported',
+    markdown: `# Getting Started
+
+See [[Reference#Options]] and [[Nowhere]].`,
+    async render(markdown) {
+      const { site, warnings } = await buildWikiSite(markdown);
+      return `<ul>${site.brokenLinks.map(link => `<li>${link.type}</li>`).join('')}</ul>\n` +
+        `<ul>${warnings.map(warning => `<li>${warning.message}</li>`).join('')}</ul>`;
+    },
+    criteria: 'One broken wiki link, for Nowhere',
+    strict: true
+  },
+  {
+    name: 'Callouts',
+    description: 'GitHub alerts and ::: containers become typed callouts, and custom types can be registered',
+    markdown: `> [!NOTE]
+> Useful **information**.
+
+> [!WARNING]- Read this first
+> Folded away.
+
+> Just a quote.
+
+:::tip Pro tip
+Use \`npm ci\`.
+:::
+
+:::quote Ada Lovelace
+Imagination is the discovering faculty.
+:::`,
+    render(markdown) {
+      const calloutRenderer = new MarkdownRenderer({
+        callouts: {
+          quote: { render: (token, { title, content }) => `<figure class="pull-quote">${content}<figcaption>${title}</figcaption></figure>\n` }
+        }
+      });
+      return calloutRenderer.render(markdown);
+    },
+    criteria: 'Alerts and containers render with a title and icon, "-" folds the callout and custom types use their own renderer',
+    strict: true
+  },
+  {
+    name: 'Callout Tokens',
+    description: 'Callout tokens record their syntax, type, title and folding',
+    markdown: `> [!NOTE]
+> Useful.
+
+> [!WARNING]- Read this first
+> Folded away.
+
+:::tip Pro tip
+Use it.
+:::`,
+    render(markdown) {
+      const callouts = renderer.parse(markdown).children.filter(token => token.type === 'callout');
+      return `<ul>${callouts.map(token => `<li>${token.syntax} ${token.calloutType}: "${token.title}", ` +
+        `collapsible ${Boolean(token.collapsible)}, open ${Boolean(token.open)}</li>`).join('')}</ul>`;
+    },
+    criteria: 'The note gets its default title, and the folded warning is collapsible and closed',
+    strict: true
+  },
+  {
+    name: 'Callout Type Names',
+    description: 'Names of Object.prototype properties are not callout types',
+    markdown: `:::constructor
+Text
+:::
+
+> [!toString]
+> Quote`,
+    criteria: 'Both stay a paragraph and a blockquote',
+    strict: true
+  },
+  {
+    name: 'Definition Lists',
+    description: 'PHP Markdown Extra definition lists with tight and loose definitions',
+    markdown: `Apple
+: Pomaceous fruit
+  of the rose family.
+: A technology company.
+
+Orange
+Tangerine
+
+:   Citrus fruit.
+
+    Eaten fresh or juiced.
+
+\`\`\`markdown
+Term
+: Definition
+\`\`\`
+
+# Glossary
+: not a term
+
+- Item
+: not a term either
+
+> Quote
+: still not a term`,
+    criteria: 'Terms become <dt>, definitions <dd>; a blank line before a definition gives it paragraphs. Code fences, headings, list items and blockquotes are never terms',
+    strict: true
+  },
+  {
+    name: 'Abbreviations',
+    description: '*[ABBR]: definitions wrap every occurrence in <abbr title>',
+    markdown: `HTML and HTML5 are not the same as HTMLX.
+
+| CSS | Notes |
+|-----|-------|
+| yes | \`HTML\` in code is left alone |
+
+*[HTML]: Hyper Text Markup Language
+*[HTML5]: HTML version 5
+*[CSS]: Cascading Style Sheets`,
+    criteria: 'Whole-word occurrences are wrapped, longest abbreviation first, and the definitions are not rendered',
+    strict: true
+  },
+  {
+    name: 'Attribute Blocks',
+    description: '{#id .class key=value} blocks on headings, images and paragraphs',
+    markdown: `## Setup {#install .step}
+
+![Diagram](flow.png){.wide width=640}
+
+Read this first. {.lead data-level="2"}
+
+Braces {like these} stay as text.
+
+![a "b" <c>](x.png){.w} ![x" onerror="alert(1)](y.png)`,
+    criteria: 'Attributes are applied to the element they follow and removed from the text; other braces are kept',
+    strict: true
+  },
+  {
+    name: 'Attribute Block Headings',
+    description: 'A heading attribute block sets the id in the table of contents and leaves the heading text',
+    markdown: `## Setup {#install .step}`,
+    render(markdown) {
+      const ast = renderer.parse(markdown);
+      return `<p>Text: ${ast.children[0].text}; table of contents id: ${ast.toc[0].id}</p>`;
+    },
+    criteria: 'The text is Setup and the id is install',
+    strict: true
+  },
+  {
+    name: 'Interactive Task Lists',
+    description: 'With interactiveTasks, checkboxes are enabled and carry their index and source line',
+    markdown: `# Release
+
+- [x] Write changelog
+- [ ] Tag the release
+  - [ ] Push the tag
+
+> - [ ] Announce it`,
+    render(markdown) {
+      return new MarkdownRenderer({ interactiveTasks: true }).render(markdown);
+    },
+    criteria: 'Enabled checkboxes with data-task-index and data-source-line',
+    strict: true
+  },
+  {
+    name: 'Static Task Lists',
+    description: 'Without interactiveTasks, checkboxes are disabled',
+    markdown: `# Release
+
+- [x] Write changelog
+- [ ] Tag the release
+  - [ ] Push the tag
+
+> - [ ] Announce it`,
+    criteria: 'Every checkbox is disabled',
+    strict: true
+  },
+  {
+    name: 'Task Items',
+    description: 'parse() lists the task items with their line and state',
+    markdown: `# Release
+
+- [x] Write changelog
+- [ ] Tag the release
+  - [ ] Push the tag
+
+> - [ ] Announce it`,
+    render(markdown) {
+      return `<ul>${renderer.parse(markdown).tasks.map(task => `<li>Line ${task.line}: ${task.checked ? 'done' : 'open'}</li>`).join('')}</ul>`;
+    },
+    criteria: 'Four tasks, in document order, including the nested and the quoted one',
+    strict: true
+  },
+  {
+    name: 'Toggle Task',
+    description: 'toggleTask() flips the box of one task in the markdown and changes nothing else',
+    markdown: `# Release
+
+- [x] Write changelog
+- [ ] Tag the release
+  - [ ] Push the tag
+
+> - [ ] Announce it`,
+    render(markdown) {
+      return `<pre>${toggleTask(markdown, 2)}</pre>`;
+    },
+    criteria: 'Only the nested task is checked',
+    strict: true
+  },
+  {
+    name: 'Toggle Task Back',
+    description: 'toggleTask() unchecks a checked task, also inside a blockquote',
+    markdown: `# Release
+
+- [x] Write changelog
+- [ ] Tag the release
+  - [ ] Push the tag
+
+> - [ ] Announce it`,
+    render(markdown) {
+      return `<pre>${toggleTask(toggleTask(markdown, 0), 3)}</pre>`;
+    },
+    criteria: 'The first task is unchecked and the quoted one checked',
+    strict: true
+  },
+  {
+    name: 'Toggle Missing Task',
+    description: 'toggleTask() throws a RangeError for an index past the last task',
+    markdown: `# Release
+
+- [x] Write changelog
+- [ ] Tag the release
+  - [ ] Push the tag
+
+> - [ ] Announce it`,
+    render(markdown) {
+      try {
+        toggleTask(markdown, 4);
+        return '<p>No error</p>';
+      } catch (error) {
+        return `<p>${error.constructor.name}: ${error.message}</p>`;
+      }
+    },
+    criteria: 'RangeError',
+    strict: true
+  },
+  {
+    name: 'Tasks After Front Matter',
+    description: 'Task locations refer to the markdown as written, though front matter values are longer than their placeholders',
+    markdown: `---
+name: A much longer project name
+---
+
+- [ ] first {{ page.name }}
+- [ ] second`,
+    render(markdown) {
+      const task = renderer.parse(markdown).tasks[1];
+      return `<p>Line ${task.line}, column ${task.column}</p>\n<pre>${toggleTask(markdown, 1)}</pre>`;
+    },
+    criteria: 'The second task is at line 6, column 3, and toggling it checks that line',
+    strict: true
+  },
+  {
+    name: 'Source Positions',
+    description: 'The sourcePositions option adds data-sourcepos to blocks',
+    markdown: `# Notes
+
+Some *text* here.
+
+> Quoted
+> - item
+
+$$
+x^2
+$$
+
+\`\`\`mermaid
+graph TD; A-->B
+\`\`\``,
+    options: { sourcePositions: true },
+    criteria: 'Block elements, including KaTeX blocks and mermaid divs, carry data-sourcepos="line:column-line:column"',
+    strict: true
+  },
+  {
+    name: 'Node Positions',
+    description: 'Nodes record where they start, also inline and inside blockquotes',
+    markdown: `# Notes
+
+Some *text* here.
+
+> Quoted
+> - item
+
+$$
+x^2
+$$
+
+\`\`\`mermaid
+graph TD; A-->B
+\`\`\``,
+    render(markdown) {
+      const ast = new MarkdownRenderer({ sourcePositions: true }).parse(markdown);
+      const emphasis = ast.children.find(token => token.type === 'paragraph').tokens[1];
+      const item = ast.children.find(token => token.type === 'blockquote').tokens.find(token => token.type === 'list').items[0];
+      return [emphasis, item].map(token => `<p>${token.type} at ${token.position.start.line}:${token.position.start.column}</p>`).join('\n');
+    },
+    criteria: 'The emphasis starts at 3:6 and the quoted list item at 6:3',
+    strict: true
+  },
+  {
+    name: 'Lookup Node',
+    description: 'lookupNode() finds the innermost block at a line, or the last one before it',
+    markdown: `# Notes
+
+Some *text* here.
+
+> Quoted
+> - item
+
+$$
+x^2
+$$
+
+\`\`\`mermaid
+graph TD; A-->B
+\`\`\``,
+    render(markdown) {
+      const ast = renderer.parse(markdown);
+      return `<ul>${[6, 9, 11, 13].map(line => {
+        const node = lookupNode(ast, line);
+        return `<li>Line ${line}: ${node.type} from ${node.position.start.line}:${node.position.start.column}</li>`;
+      }).join('')}</ul>`;
+    },
+    criteria: 'The list item on line 6, the math block on and after its lines, and the diagram',
+    strict: true
+  },
+  {
+    name: 'No Source Positions By Default',
+    description: 'Without the sourcePositions option no data-sourcepos attributes are rendered',
+    markdown: `# Notes
+
+Some *text* here.
+
+> Quoted
+> - item
+
+$$
+x^2
+$$
+
+\`\`\`mermaid
+graph TD; A-->B
+\`\`\``,
+    criteria: 'No data-sourcepos',
+    strict: true
+  },
+  {
+    name: 'Incremental Updates',
+    description: 'update() keys every top-level block',
+    markdown: `# Draft
+
+First paragraph with $x^2$.
+
+\`\`\`js
+const a = 1;
+\`\`\`
+
+---
+
+---
+
+Last paragraph.`,
+    render(markdown) {
+      return updateTwice(markdown).second.html;
+    },
+    criteria: 'Each block carries data-block-key, and identical blocks get numbered keys',
+    strict: true
+  },
+  {
+    name: 'Incremental Rendering',
+    description: 'update() renders only the blocks that changed since the previous result',
+    markdown: `# Draft
+
+First paragraph with $x^2$.
+
+\`\`\`js
+const a = 1;
+\`\`\`
+
+---
+
+---
+
+Last paragraph.`,
+    render(markdown) {
+      const { firstRendered, secondRendered } = updateTwice(markdown);
+      return `<p>First update: ${firstRendered.join(' / ')}</p>\n<p>Second update: ${secondRendered.join(' / ')}</p>`;
+    },
+    criteria: 'Both paragraphs are rendered at first, then only the edited one',
+    strict: true
+  },
+  {
+    name: 'Update Patches',
+    description: 'The patches of update() turn the previous blocks into the new ones',
+    markdown: `# Draft
+
+First paragraph with $x^2$.
+
+\`\`\`js
+const a = 1;
+\`\`\`
+
+---
+
+---
+
+Last paragraph.`,
+    render(markdown) {
+      const { first, second } = updateTwice(markdown);
+      const keys = first.blocks.map(block => block.key);
+      const index = key => key ? keys.indexOf(key) : 'end';
+      const patched = second.patches.reduce((current, patch) => {
+        if (patch.type === 'remove') return current.filter(key => key !== patch.key);
+        const at = patch.before ? current.indexOf(patch.before) : current.length;
+        return [...current.slice(0, at), patch.key, ...current.slice(at)];
+      }, keys);
+      return `<ul>${second.patches.map(patch => `<li>${patch.type} block ${patch.type === 'remove' ? index(patch.key) : `before ${index(patch.before)}`}</li>`).join('')}</ul>\n` +
+        `<p>Patched keys match: ${patched.join() === second.blocks.map(block => block.key).join()}</p>`;
+    },
+    criteria: 'Block 1 is removed and the new block inserted before block 2, which gives the new list of keys',
+    strict: true
   },
   {
-    name: 'Basic Formatting',
-    description: 'Styling text with italic, bold, and strikethrough',
-    markdown: `Regular paragraph with *italic*, **bold**, and ***bold italic*** text.
-Also _italic_, __bold__, and ___bold italic___ using underscores.
-~~Strikethrough~~ is also supported.`,
-    criteria: 'Text should be properly styled with em, strong, and del tags'
+    name: 'Unchanged Update',
+    description: 'update() with the same markdown returns no patches and the same HTML as render()',
+    markdown: `# Draft
+
+First paragraph with $x^2$.
+
+\`\`\`js
+const a = 1;
+\`\`\`
+
+---
+
+---
+
+Last paragraph.`,
+    render(markdown) {
+      const { second, edited, counting } = updateTwice(markdown);
+      const unchanged = counting.update(second, edited);
+      const withoutKeys = unchanged.html.replace(/ data-block-key="[^"]*"/g, '');
+      return `<p>${unchanged.patches.length} patches; same as render(): ${withoutKeys === renderer.render(edited)}</p>`;
+    },
+    criteria: 'No patches, and the HTML without keys is what render() returns',
+    strict: true
   },
   {
-    name: 'Unordered Lists',
-    description: 'Creating bulleted lists with *, -, or + symbols',
-    markdown: `* Item 1
-* Item 2
-  * Nested item 1
-  * Nested item 2
-* Item 3
+    name: 'Update With Source Positions',
+    description: 'With sourcePositions, the blocks below an inserted line are rendered again',
+    markdown: `# Draft
 
-- Alternative item 1
-- Alternative item 2
+First paragraph with $x^2$.
 
-+ Another alternative item 1
-+ Another alternative item 2`,
-    criteria: 'Lists should be rendered with ul and li tags, including proper nesting'
+\`\`\`js
+const a = 1;
+\`\`\`
+
+---
+
+---
+
+Last paragraph.`,
+    render(markdown) {
+      const positioned = new MarkdownRenderer({ sourcePositions: true });
+      const shifted = positioned.update(positioned.update(null, markdown), `Intro\n\n${markdown}`);
+      return `<p>${shifted.patches.filter(patch => patch.type === 'insert').length} blocks inserted</p>`;
+    },
+    criteria: 'The new paragraph and all six moved blocks',
+    strict: true
   },
   {
-    name: 'Ordered Lists',
-    description: 'Creating numbered lists with automatic numbering',
-    markdown: `1. First item
-2. Second item
-   1. Nested item 1
-   2. Nested item 2
-3. Third item`,
-    criteria: 'Numbered lists should be rendered with ol and li tags with proper nesting'
+    name: 'Large Document',
+    description: 'Rendering time grows linearly with the number of blocks',
+    markdown: 'Paragraph with some *text* and a [link](https://example.com/).',
+    // 10,000 paragraphs (about 700 KB); only the timing is shown
+    render(markdown) {
+      const document = Array.from({ length: 10000 }, (_, index) => `${markdown} ${index}`).join('\n\n');
+      const start = performance.now();
+      const html = renderer.render(document);
+      const elapsed = Math.round(performance.now() - start);
+      return `<p>Rendered ${(html.match(/<p>/g) || []).length} paragraphs in <span class="elapsed">${elapsed}</span> ms</p>`;
+    },
+    criteria: 'All 10,000 paragraphs render within 5 seconds',
+    strict: true
   },
   {
-    name: 'Task Lists',
-    description: 'GitHub-flavored Markdown task lists with checkboxes',
-    markdown: `- [x] Completed task
-- [ ] Incomplete task
-- [x] Another completed task
-  - [ ] Nested task`,
-    criteria: 'Task lists should include checkboxes (may require extension support)'
+    name: 'Large Quoted List',
+    description: 'A long list inside a blockquote renders in linear time',
+    markdown: '> - item',
+    render(markdown) {
+      const document = Array.from({ length: 8000 }, (_, index) => `${markdown} ${index}`).join('\n');
+      const start = performance.now();
+      const html = renderer.render(document);
+      const elapsed = Math.round(performance.now() - start);
+      return `<p>Rendered ${(html.match(/<li>/g) || []).length} list items in <span class="elapsed">${elapsed}</span> ms</p>`;
+    },
+    criteria: 'All 8,000 list items render within 3 seconds',
+    strict: true
   },
   {
-    name: 'Inline Code',
-    description: 'Inline code with backticks',
-    markdown: `Use \`inline code\` to refer to code within text.
+    name: 'Footnotes After getToc',
+    description: 'Parsing a document without rendering it does not shift the footnote numbers of the next render',
+    markdown: `First[^a] and second[^b], then first again[^a].
 
-The \`console.log()\` function outputs to the console.`,
-    criteria: 'Inline code should be wrapped in code tags'
+[^a]: The first note.
+[^b]: The second note.`,
+    render(markdown) {
+      renderer.getToc(markdown);
+      renderer.parse(markdown);
+      return renderer.render(markdown);
+    },
+    criteria: 'References are numbered 1, 2, 1',
+    strict: true
   },
   {
-    name: 'Code Blocks',
-    description: 'Code blocks with triple backticks and optional language specification',
-    markdown: `\`\`\`javascript
-// Code block with syntax highlighting
-function greet(name) {
-  return \`Hello, \${name}!\`;
-}
-console.log(greet('World'));
-\`\`\`
+    name: 'Site Footnotes',
+    description: 'buildSite() parses every page before rendering any, and each page numbers its footnotes from 1',
+    markdown: `# Home
 
-\`\`\`python
-# Python example
-def greet(name):
-    return f"Hello, {name}!"
-    
-print(greet("World"))
-\`\`\`
+A claim[^source].
 
-\`\`\`
-Plain code block without language specification
-No syntax highlighting applied
-\`\`\``,
-    criteria: 'Code blocks should be rendered with pre and code tags, with optional language-specific highlighting'
+[^source]: A source.`,
+    async render(markdown) {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'markdowntorender-footnotes-'));
+      const source = path.join(directory, 'docs');
+      const output = path.join(directory, 'site');
+      
+      try {
+        await fs.mkdir(source);
+        await fs.writeFile(path.join(source, 'index.md'), markdown);
+        await fs.writeFile(path.join(source, 'notes.md'), '# Notes\n\nOne[^1] and two[^2].\n\n[^1]: One.\n[^2]: Two.');
+        await buildSite(source, output);
+        const home = await fs.readFile(path.join(output, 'index.html'), 'utf8');
+        return home.slice(home.indexOf('<main'), home.indexOf('</main>'));
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    },
+    criteria: 'The first footnote of index.html is numbered 1',
+    strict: true
+  },
+  {
+    name: 'Front Matter Closing Fence',
+    description: 'A front matter value ending in "..." does not close the block',
+    markdown: `---
+title: Wait...
+date: 2024-05-01
+---
+Published {{ page.date }}`,
+    criteria: 'The date is substituted and not rendered as a setext heading',
+    strict: true
+  },
+  {
+    name: 'Front Matter Own Keys',
+    description: 'Placeholders only follow keys written in the front matter, not inherited properties',
+    markdown: `---
+title: Guide
+tags: [a, b]
+---
+{{ page.constructor }} {{ page.title.length }} {{ page.tags.length }} {{ page.toString }} {{ page.title }}`,
+    criteria: 'Only {{ page.title }} is substituted',
+    strict: true
+  },
+  {
+    name: 'Explicit Heading Ids',
+    description: 'Generated heading ids never repeat an id given with {#id}, even one that comes later',
+    markdown: `# Intro
+
+# Intro {#intro}
+
+## Setup {#intro-1}`,
+    criteria: 'The first heading gets intro-2, and the explicit ids are kept',
+    strict: true
+  },
+  {
+    name: 'Attribute Event Handlers',
+    description: 'Attribute blocks cannot add event handler attributes',
+    markdown: `A paragraph {onclick=alert(1) OnMouseOver="alert(2)" data-note=kept}
+
+![Logo](logo.png){onerror=alert(3) width=40}`,
+    criteria: 'No on* attribute is rendered and the other attributes are kept',
+    strict: true
+  },
+  {
+    name: 'Inline Positions On Demand',
+    description: 'Without sourcePositions only the inline tokens that problems are reported for are located',
+    markdown: `Some *emphasis* and a [link](page.md).`,
+    render(markdown) {
+      const inlineTypes = ast => ast.children[0].tokens.filter(token => token.position).map(token => token.type).join(',');
+      const located = inlineTypes(renderer.parse(markdown));
+      const all = inlineTypes(new MarkdownRenderer({ sourcePositions: true }).parse(markdown));
+      return `<p>${located}</p><p>${all}</p>`;
+    },
+    criteria: 'Only the link has a position by default, and every inline token has one with sourcePositions',
+    strict: true
   },
   {
     name: 'Blockquotes',
@@ -150,6 +1561,16 @@ No syntax highlighting applied
 Bare Auto-Link: https://www.youtube.com/watch?v=AnotherVideoID`,
     criteria: 'Video URLs should render as a thumbnail image link or a standard anchor tag.'
   },
+  {
+    name: 'YouTube Embeds',
+    description: 'YouTube directive and standalone links rendered as youtube-nocookie iframes',
+    markdown: `@[youtube](https://youtu.be/JstToSe6BsQ?t=1m5s)
+
+https://www.youtube.com/watch?v=AnotherVideoID&t=700s`,
+    options: { youtubeEmbed: 'iframe' },
+    criteria: 'Both videos should render as youtube-nocookie iframes with the start time applied',
+    strict: true
+  },
   {
     name: 'Images',
     description: 'Embedding images with alt text and optional title',
@@ -198,6 +1619,38 @@ Final content`,
 </div>`,
     criteria: 'Raw HTML should be preserved in the output'
   },
+  {
+    name: 'Sanitized HTML',
+    description: 'Untrusted input rendered with the sanitize option',
+    markdown: `<script>alert('x')</script><div onclick="steal()" style="color: red">Hello</div>
+
+[Click me](javascript:alert(1)) and <a href="jav&#x61;script:alert(2)">me too</a>
+
+<iframe src="https://evil.example/"></iframe>
+
+@[youtube-embed](JstToSe6BsQ) with $x^2$ and \`<b>code</b>\`
+
+Overlay <span style="color: blue; z-index: 9">over</span> {style="position:fixed;top:0"}`,
+    options: { sanitize: true },
+    criteria: 'Scripts, handlers, javascript: URLs and foreign iframes are removed; KaTeX, YouTube and code survive',
+    strict: true
+  },
+  {
+    name: 'Escaping Matrix',
+    description: 'Source text with <, & and quotes in every block type that renders it',
+    markdown: ESCAPING_MATRIX.map(row => row.markdown).join('\n\n'),
+    // Render each block on its own so a failure names the block type
+    render() {
+      const failures = ESCAPING_MATRIX.filter(row => {
+        const html = renderer.render(row.markdown);
+        return html.includes('<b>') || !html.includes(row.expect);
+      });
+      return renderer.render(this.markdown) +
+        `<!-- escaping failures: ${failures.map(row => row.block).join(', ') || 'none'} -->`;
+    },
+    criteria: 'No block type lets the payload through as markup, and each shows the escaped form',
+    strict: true
+  },
   {
     name: 'Footnotes',
     description: 'Adding footnotes with reference links',
@@ -211,6 +1664,17 @@ Final content`,
     Like this paragraph.`,
     criteria: 'Footnotes should be properly linked and rendered at the bottom of the content'
   },
+  {
+    name: 'Renderer Isolation',
+    description: 'The shared renderer is unaffected by other renderers and by earlier renders',
+    markdown: `Watch this[^note]:
+
+@[youtube](https://www.youtube.com/watch?v=JstToSe6BsQ)
+
+[^note]: Rendered with the default options.`,
+    criteria: 'A single footnotes section is rendered and the video stays a thumbnail after an iframe renderer was used',
+    strict: true
+  },
   {
     name: 'Subscript and Superscript',
     description: 'Text formatting for scientific notation',
@@ -229,6 +1693,13 @@ This feature requires ~subscript~ and ^superscript^ extensions.`,
 Use ==highlighting== to draw attention to specific parts.`,
     criteria: 'Highlighted text should be wrapped in mark tags'
   },
+  {
+    name: 'Inline Extension Boundaries',
+    description: 'Subscript, superscript and highlight next to strikethrough and math',
+    markdown: `~~gone~~ but H~2~O and x^2^ stay ==lit==, while $a^2b^2$ is math.`,
+    criteria: 'Strikethrough uses del, sub/sup/mark tags are emitted, and math source is not split into sup tags',
+    strict: true
+  },
   {
     name: 'Math Expressions',
     description: 'LaTeX-style mathematical expressions',
@@ -247,6 +1718,172 @@ $$
 $$`,
     criteria: 'Math expressions should be properly rendered (may require extension support)'
   },
+  {
+    name: 'Math Boundaries',
+    description: 'Currency, code spans and HTML-sensitive characters around math',
+    markdown: `Prices are $5 and $10 today.
+
+Code like \`$x$\` stays literal, while $a<b$ is math.
+
+\`\`\`js
+const price = '$5 and $6$';
+\`\`\``,
+    criteria: 'Currency and code are left alone and $a<b$ is rendered once by KaTeX',
+    strict: true
+  },
+  {
+    name: 'Server-side Mermaid',
+    description: 'renderAsync() turning diagrams into inline SVG with a pluggable renderer',
+    markdown: `\`\`\`mermaid
+graph TD; A-->B;
+\`\`\`
+
+\`\`\`mermaid
+graph TD; A-->
+\`\`\``,
+    render(markdown) {
+      const svgRenderer = new MarkdownRenderer({
+        sanitize: true,
+        mermaidRenderer: async (source, { index }) => `<svg class="test-diagram"><style>.n{}</style><text>diagram ${index}</text></svg>`
+      });
+      return svgRenderer.renderAsync(markdown);
+    },
+    criteria: 'The valid diagram becomes inline SVG (kept intact despite sanitizing) and the invalid one an error box',
+    strict: true
+  },
+  {
+    name: 'Headless Mermaid',
+    description: 'Without a DOM or a mermaidRenderer, renderAsync() leaves diagrams for the browser and warns',
+    markdown: `\`\`\`mermaid
+graph TD; A-->B;
+\`\`\``,
+    async render(markdown) {
+      const warnings = [];
+      const html = await new MarkdownRenderer({ onWarning: warning => warnings.push(warning) }).renderAsync(markdown);
+      return html + `<ul>${warnings.map(warning => `<li>${warning.type} at line ${warning.line}</li>`).join('')}</ul>`;
+    },
+    criteria: 'The diagram source is left in a mermaid div, with a diagram warning for line 1',
+    strict: true
+  },
+  {
+    name: 'Strict Headless Mermaid',
+    description: 'In strict mode, a diagram that cannot be rendered headless is an error',
+    markdown: `\`\`\`mermaid
+graph TD; A-->B;
+\`\`\``,
+    render(markdown) {
+      return describeError(() => new MarkdownRenderer({ strict: true }).renderAsync(markdown));
+    },
+    criteria: 'DiagramError at line 1',
+    strict: true
+  },
+  {
+    name: 'Mermaid Renderer Failure',
+    description: 'A mermaidRenderer that throws gives an error box with its message',
+    markdown: `\`\`\`mermaid
+graph TD; A-->B;
+\`\`\``,
+    render(markdown) {
+      return new MarkdownRenderer({
+        mermaidRenderer: async () => { throw new Error('renderer crashed'); }
+      }).renderAsync(markdown);
+    },
+    criteria: 'An error box titled as a rendering failure, with the message',
+    strict: true
+  },
+  {
+    name: 'AST Round Trip',
+    description: 'Parsing to an AST, transforming it and rendering it with the public API',
+    markdown: `# Title
+
+Some $x^2$ math.
+
+\`\`\`python
+print("hi")
+\`\`\``,
+    // Demote every heading between the two phases
+    render(markdown) {
+      const ast = renderer.parse(markdown);
+      ast.children.filter(token => token.type === 'heading').forEach(token => { token.depth += 1; });
+      return renderer.renderAst(ast);
+    },
+    criteria: 'renderAst() reflects the transformation',
+    strict: true
+  },
+  {
+    name: 'AST Schema',
+    description: 'parse() returns a versioned document node with the collected code languages and math',
+    markdown: `# Title
+
+Some $x^2$ math.
+
+\`\`\`python
+print("hi")
+\`\`\``,
+    render(markdown) {
+      const ast = renderer.parse(markdown);
+      return `<ul>${[
+        `Type: ${ast.type}`,
+        `Current version: ${ast.version === AST_VERSION}`,
+        `First child: ${ast.children[0].type}`,
+        `Code languages: ${ast.codeLanguages.join(', ')}`,
+        ...ast.mathExpressions.map(expression => `Math: ${expression.content} at line ${expression.position.start.line}`)
+      ].map(line => `<li>${line}</li>`).join('')}</ul>`;
+    },
+    criteria: 'A document of the current version, starting with the heading, with python code and one formula on line 3',
+    strict: true
+  },
+  {
+    name: 'Code Block Dispatch',
+    description: 'Built-in plugins each handle their own kind of code block',
+    markdown: `\`\`\`mermaid
+graph TD; A-->B;
+\`\`\`
+
+\`\`\`math
+x^2
+\`\`\`
+
+\`\`\`javascript
+let answer = 42;
+\`\`\``,
+    criteria: 'Mermaid becomes a mermaid div, math is rendered by KaTeX and JavaScript is highlighted by Prism',
+    strict: true
+  },
+  {
+    name: 'Plugin Pipeline',
+    description: 'A plugin using every hook of renderer.use()',
+    markdown: `# Greetings :wave:
+
+Ping @ada about it.`,
+    options: {
+      plugins: [{
+        name: 'test-plugin',
+        preprocess: markdown => markdown.replace(/:wave:/g, 'hello'),
+        extensions: [{
+          name: 'mention',
+          level: 'inline',
+          start: src => src.indexOf('@'),
+          tokenizer(src) {
+            const match = /^@(\w+)/.exec(src);
+            if (match) {
+              return { type: 'mention', raw: match[0], user: match[1] };
+            }
+          }
+        }],
+        transformAst(ast) {
+          ast.children.find(token => token.type === 'heading').depth = 2;
+        },
+        renderers: {
+          mention: token => `<a class="mention" href="/users/${token.user}">@${token.user}</a>`,
+          heading: token => token.depth === 2 ? `<h2 class="plugin-heading">${token.text}</h2>\n` : false
+        },
+        postprocess: html => `${html}<!-- postprocessed -->`
+      }]
+    },
+    criteria: 'Each hook changes the output: preprocess, tokenizer, AST transform, renderers and postprocess',
+    strict: true
+  },
   {
     name: 'Diagrams (Mermaid)',
     description: 'Creating diagrams with Mermaid syntax',
@@ -600,61 +2237,519 @@ function evaluateTest(testCase, renderedHtml) {
   switch(name) {
     case 'headings':
       result = (
-        html.includes('<h1>') && 
-        html.includes('<h2>') && 
-        html.includes('<h3>') && 
-        html.includes('<h4>') && 
-        html.includes('<h5>') && 
-        html.includes('<h6>')
+        html.includes('<h1>') && 
+        html.includes('<h2>') && 
+        html.includes('<h3>') && 
+        html.includes('<h4>') && 
+        html.includes('<h5>') && 
+        html.includes('<h6>')
+      );
+      break;
+    
+    case 'basic formatting':
+      result = (
+        html.includes('<em>') && 
+        html.includes('<strong>') && 
+        html.includes('<del>')
+      );
+      break;
+    
+    case 'unordered lists':
+      result = (
+        html.includes('<ul>') && 
+        html.includes('<li>') && 
+        /<ul>[\s\S]*?<ul>/.test(html) // Check for basic nesting
+      );
+      break;
+    
+    case 'ordered lists':
+      // Check for <ol> followed by <li> using regex
+      result = /<ol.*?>[\s\S]*?<li/.test(html);
+      break;
+    
+    case 'task lists':
+      result = (
+        html.includes('type="checkbox"') || 
+        html.includes('class="task-list-item"')
+      );
+      break;
+    
+    case 'inline code':
+      result = html.includes('<code');
+      break;
+    
+    case 'code blocks':
+      // More comprehensive check for various ways code blocks may be rendered
+      result = (
+        // Check for general code block structure
+        (html.includes('<pre') && html.includes('<code')) ||
+        // Check for code content regardless of formatting
+        (html.includes('function greet') && html.includes('return')) ||
+        (html.includes('def greet') && html.includes('print')) ||
+        // Check for language indicators
+        html.includes('language-javascript') ||
+        html.includes('language-python')
+      );
+      break;
+    
+    case 'prism language loading':
+      result = (
+        html.includes('<code class="language-python"><span class="token keyword">def</span>') &&
+        html.includes('<code class="language-cpp"><span class="token keyword">int</span>') &&
+        html.includes('<code class="language-yml"><span class="token key atrule">key</span>') &&
+        html.includes('<code class="language-sh"><span class="token builtin class-name">echo</span>')
+      );
+      break;
+    
+    case 'code block metadata':
+      result = (
+        html.includes('<div class="code-block"><div class="code-title">app.js</div><pre class="line-numbers"><code class="language-js">') &&
+        html.includes('<span class="code-line" data-line="1"><span class="line-number" aria-hidden="true">1</span><span class="token keyword">const</span>') &&
+        html.includes('<span class="code-line highlighted" data-line="2"><span class="line-number" aria-hidden="true">2</span><span class="token comment">/* spans</span></span>') &&
+        html.includes('<span class="code-line highlighted" data-line="3"><span class="line-number" aria-hidden="true">3</span><span class="token comment">two lines */</span></span>') &&
+        html.includes('<span class="code-line" data-line="10"><span class="line-number" aria-hidden="true">10</span>x') &&
+        !html.includes('title=&quot;')
+      );
+      break;
+    
+    case 'diff code blocks':
+      result = (
+        html.includes('<pre class="diff-highlight"><code class="language-diff-python">') &&
+        html.includes('<span class="code-line diff-line diff-hunk" data-line="1">@@ -1,2 +1,2 @@</span>') &&
+        html.includes('<span class="code-line diff-line diff-context" data-line="2"><span class="diff-marker"> </span><span class="token keyword">def</span>') &&
+        html.includes('<span class="code-line diff-line diff-removed" data-line="3"><span class="diff-marker">-</span>    <span class="token keyword">return</span> <span class="token number">0</span></span>') &&
+        html.includes('<span class="code-line diff-line diff-added" data-line="4"><span class="diff-marker">+</span>    <span class="token keyword">return</span>') &&
+        html.includes('<p>languages: python</p>')
+      );
+      break;
+    
+    case 'heading anchors':
+      result = (
+        html.includes('<h1 id="intro">intro<a class="heading-anchor" href="#intro" aria-label="permalink: intro">#</a></h1>') &&
+        html.includes('<h2 id="intro-1">intro<a class="heading-anchor" href="#intro-1"') &&
+        html.includes('<h3 id="qa-code-and-bold">q&amp;a: <code>code</code> and <strong>bold</strong>') &&
+        html.includes('<nav class="toc"><ul><li><a href="#intro">intro</a><ul><li><a href="#intro-1">intro</a><ul><li><a href="#qa-code-and-bold">q&amp;a: code and bold</a></li></ul></li></ul></li><li><a href="#next">next</a></li></ul></nav>') &&
+        !html.includes('[[toc]]')
+      );
+      break;
+    
+    case 'front matter':
+      result = (
+        html.startsWith('<h1 id="release-notes">release notes</h1>') &&
+        html.includes('<p>version 2.1 by ada, {{ page.missing }} stays.</p>') &&
+        !html.includes('<hr') &&
+        !html.includes('title:')
+      );
+      break;
+    
+    case 'front matter data':
+      result = html === '<p>release notes by ada</p>';
+      break;
+    
+    case 'toml front matter':
+      result = html === '<p>toml</p>\n<p>title: toml</p>';
+      break;
+    
+    case 'front matter needs a mapping':
+      result = (
+        html.startsWith('<hr>\n<p>not front matter</p>\n<hr>') &&
+        html.includes('<p>front matter: null</p>')
       );
       break;
     
-    case 'basic formatting':
+    case 'heading between rules':
+      result = html === '<hr>\n<h1 id="intro">intro</h1>\n<hr>\n<p>text</p>';
+      break;
+    
+    case 'placeholders in code':
+      result = html === '<p><code>{{ page.title }}</code> is t</p>\n<pre><code class="language-md">{{ page.title }}</code></pre>';
+      break;
+    
+    case 'render info':
       result = (
-        html.includes('<em>') && 
-        html.includes('<strong>') && 
-        html.includes('<del>')
+        html.includes('<h1 id="guide">guide</h1>') &&
+        html.includes('<a href="https://example.com/docs">docs</a>') &&
+        html.includes('katex-error') &&
+        html.includes('<code class="language-nosuchlang">code</code>')
       );
       break;
     
-    case 'unordered lists':
+    case 'render info assets':
       result = (
-        html.includes('<ul>') && 
-        html.includes('<li>') && 
-        /<ul>[\s\S]*?<ul>/.test(html) // Check for basic nesting
+        html.includes('<p>languages: nosuchlang, python; math: true; mermaid: false</p>') &&
+        /<li>[^<]*\/katex\.min\.css<\/li>/.test(html) &&
+        /<li>[^<]*\/prismjs@[^<]*<\/li>/.test(html) &&
+        html.endsWith('<p>0 scripts</p>')
       );
       break;
     
-    case 'ordered lists':
-      // Check for <ol> followed by <li> using regex
-      result = /<ol.*?>[\s\S]*?<li/.test(html);
+    case 'render info statistics':
+      result = html === '<p>7 words, 1 min</p>';
       break;
     
-    case 'task lists':
+    case 'render info outline':
+      result = html === '<p>heading: #guide</p>\n<p>link: https://example.com/docs</p>\n<p>image: logo.png "logo"</p>';
+      break;
+    
+    case 'render info warnings':
       result = (
-        html.includes('type="checkbox"') || 
-        html.includes('class="task-list-item"')
+        (html.match(/<li>/g) || []).length === 2 &&
+        html.includes('<li>math at line 5: katex parse error') &&
+        html.includes('<li>language at line 7: unknown code block language "nosuchlang"')
       );
       break;
     
-    case 'inline code':
-      result = html.includes('<code');
+    case 'strict mode':
+      result = html === '<p>mathrendererror at 3:8</p>';
       break;
     
-    case 'code blocks':
-      // More comprehensive check for various ways code blocks may be rendered
+    case 'strict front matter':
+      result = html.startsWith('<p>parseerror at 3:');
+      break;
+    
+    case 'strict diagrams':
+      result = html === '<p>diagramerror at 3:1</p>';
+      break;
+    
+    case 'warnings':
       result = (
-        // Check for general code block structure
-        (html.includes('<pre') && html.includes('<code')) ||
-        // Check for code content regardless of formatting
-        (html.includes('function greet') && html.includes('return')) ||
-        (html.includes('def greet') && html.includes('print')) ||
-        // Check for language indicators
-        html.includes('language-javascript') ||
-        html.includes('language-python')
+        html.includes('katex-error') &&
+        html.includes('<code class="language-nosuchlang">code</code>') &&
+        html.includes('<ul><li>math at 1:8</li><li>language at 3:1</li></ul>')
+      );
+      break;
+    
+    case 'warning logger':
+      result = (
+        (html.match(/<li>/g) || []).length === 2 &&
+        html.includes('katex parse error') &&
+        html.includes('nosuchlang') &&
+        html.includes('(line 3, column 1)</li>')
+      );
+      break;
+    
+    case 'silent console':
+      result = html === '<p>0 console calls</p>';
+      break;
+    
+    case 'standalone document':
+      result = (
+        html.includes('<main class="markdown-body">') &&
+        html.includes('<h1 id="report">report</h1>')
+      );
+      break;
+    
+    case 'standalone head':
+      result = (
+        html.startsWith('<p>html5 page, dark theme, title "report", 0 scripts</p>') &&
+        /<li>[^<]*\/katex\.min\.css<\/li>/.test(html) &&
+        /<li>[^<]*\/prism-tomorrow\.min\.css<\/li>/.test(html)
+      );
+      break;
+    
+    case 'standalone diagrams':
+      result = (
+        html.startsWith('<p>html5 page, auto theme, title "flow", 2 scripts</p>') &&
+        /<li>[^<]*\/mermaid\.min\.js<\/li>/.test(html) &&
+        !html.includes('katex') &&
+        html.includes('<p>initialized: true; dark styles: true</p>')
+      );
+      break;
+    
+    case 'standalone offline':
+      result = html === '<p>cdn references: 0; embedded fonts: true; prism styles: true</p>';
+      break;
+    
+    case 'command line':
+      result = html === '<h1 id="from-stdin">from stdin</h1>\n<p>exit code 0</p>';
+      break;
+    
+    case 'cli directory':
+      result = (
+        html.startsWith('<p>exit code 0</p>\n<p>html5 page, auto theme, title "home"') &&
+        /<li>[^<]*\/katex\.min\.css<\/li>/.test(html) &&
+        html.includes('<h1 id="start">start</h1>')
+      );
+      break;
+    
+    case 'cli json':
+      result = html === '<p>exit code 0, document node</p>';
+      break;
+    
+    case 'cli strict':
+      result = html.startsWith('<p>exit code 1</p>') && html.includes('broken.md:1:5: katex parse error');
+      break;
+    
+    case 'cli lenient':
+      result = html.startsWith('<p>exit code 0</p>') && html.includes('broken.md:1:5: katex parse error') && html.includes('(warning)');
+      break;
+    
+    case 'cli usage':
+      result = html === '<p>exit code 2</p>';
+      break;
+    
+    case 'site build':
+      result = (
+        html.includes('<nav class="site-nav" aria-label="site"><ul><li><a href="index.html" aria-current="page">welcome</a></li><li><span class="site-nav-section">guide</span><ul><li><a href="guide/start.html">getting started</a></li></ul></li></ul></nav>') &&
+        html.includes('<a href="guide/start.html#install">the guide</a>') &&
+        html.includes('<a href="missing.md">a missing page</a>') &&
+        html.includes('<img src="images/logo.png" alt="logo">')
+      );
+      break;
+    
+    case 'site pages':
+      result = html === '<p>pages: guide/start.html, index.html</p>\n<p>image copied: true</p>';
+      break;
+    
+    case 'site nested page':
+      result = (
+        html.includes('<a href="../index.html#nope">home</a>') &&
+        html.includes('<a href="start.html" aria-current="page">getting started</a>')
+      );
+      break;
+    
+    case 'site broken links':
+      result = html === (
+        '<ul><li>anchor at 8:6</li><li>link at 8:32</li><li>anchor at 8:51</li><li>link at 6:46</li></ul>\n' +
+        '<ul><li>link warning</li><li>link warning</li><li>link warning</li><li>link warning</li></ul>'
+      );
+      break;
+    
+    case 'site search index':
+      result = html.startsWith('<ul><li>guide/start.html: getting started, install</li>');
+      break;
+    
+    case 'wiki links':
+      result = (
+        html.includes('<a class="wiki-link" href="home.html">home</a>') &&
+        html.includes('<a class="wiki-link" href="home.html#getting-started">the intro</a>') &&
+        html.includes('<a class="wiki-link" href="#notes">notes</a>') &&
+        html.includes('<span class="wiki-link wiki-link-unresolved" data-target="missing page">missing page</span>')
+      );
+      break;
+    
+    case 'wiki link info':
+      result = html === '<p>resolved: true, true, true, false</p>\n<ul><li>wiki-link at line 3</li></ul>';
+      break;
+    
+    case 'site wiki links':
+      result = html.includes('<a class="wiki-link" href="reference.html#options">reference › options</a>');
+      break;
+    
+    case 'backlinks':
+      result = (
+        html.includes('<section class="backlinks"><h2>linked from</h2><ul><li><a href="getting-started.html">getting started</a></li></ul></section>') &&
+        html.includes('<p>backlinks: getting-started.md</p>')
+      );
+      break;
+    
+    case 'broken wiki links':
+      result = (
+        html.startsWith('<ul><li>wiki-link</li></ul>') &&
+        (html.match(/<li>/g) || []).length === 2 &&
+        html.includes('nowhere')
+      );
+      break;
+    
+    case 'callouts':
+      result = (
+        html.includes('<div class="callout callout-note" data-callout="note"><p class="callout-title"><span class="callout-icon" aria-hidden="true">ℹ️</span><span class="callout-title-text">note</span></p>') &&
+        html.includes('<p>useful <strong>information</strong>.</p>') &&
+        html.includes('<details class="callout callout-warning" data-callout="warning"><summary class="callout-title">') &&
+        html.includes('<blockquote>\n<p>just a quote.</p>') &&
+        html.includes('<span class="callout-title-text">pro tip</span>') &&
+        html.includes('<figure class="pull-quote"><p>imagination is the discovering faculty.</p>\n<figcaption>ada lovelace</figcaption></figure>') &&
+        !html.includes('[!')
+      );
+      break;
+    
+    case 'callout tokens':
+      result = html === (
+        '<ul><li>alert note: "note", collapsible false, open false</li>' +
+        '<li>alert warning: "read this first", collapsible true, open false</li>' +
+        '<li>container tip: "pro tip", collapsible false, open false</li></ul>'
+      );
+      break;
+    
+    case 'callout type names':
+      result = !html.includes('callout') && html.includes('<blockquote>');
+      break;
+    
+    case 'definition lists':
+      result = (
+        html.includes('<dl>\n<dt>apple</dt>\n<dd>pomaceous fruit\nof the rose family.</dd>\n<dd>a technology company.</dd>\n') &&
+        html.includes('<dt>orange</dt>\n<dt>tangerine</dt>\n<dd><p>citrus fruit.</p>\n<p>eaten fresh or juiced.</p></dd>\n</dl>') &&
+        html.includes('<pre><code class="language-markdown">term\n: definition</code></pre>') &&
+        html.includes('<h1 id="glossary">glossary</h1>\n<p>: not a term</p>') &&
+        html.includes('<blockquote>\n<p>quote\n: still not a term</p>') &&
+        !html.includes('<dt>```') && !html.includes('<dt># ') && !html.includes('<dt>- ')
+      );
+      break;
+    
+    case 'abbreviations':
+      result = (
+        html.includes('<p><abbr title="hyper text markup language">html</abbr> and <abbr title="html version 5">html5</abbr> are not the same as htmlx.</p>') &&
+        html.includes('<th><abbr title="cascading style sheets">css</abbr></th>') &&
+        html.includes('<code>html</code>') &&
+        !html.includes('*[')
+      );
+      break;
+    
+    case 'attribute blocks':
+      result = (
+        html.includes('<h2 id="install" class="step">setup</h2>') &&
+        html.includes('<img src="flow.png" alt="diagram" class="wide" width="640">') &&
+        html.includes('<p class="lead" data-level="2">read this first.</p>') &&
+        html.includes('braces {like these} stay as text.') &&
+        html.includes('<img src="x.png" alt="a &quot;b&quot; &lt;c&gt;" class="w">') &&
+        html.includes('<img src="y.png" alt="x&quot; onerror=&quot;alert(1)">')
+      );
+      break;
+    
+    case 'attribute block headings':
+      result = html === '<p>text: setup; table of contents id: install</p>';
+      break;
+    
+    case 'interactive task lists':
+      result = (
+        html.includes('<li class="task-list-item" data-task-index="0" data-source-line="3"><input type="checkbox" class="task-list-item-checkbox" data-task-index="0" checked> write changelog</li>') &&
+        html.includes('<li class="task-list-item" data-task-index="3" data-source-line="7"><input type="checkbox" class="task-list-item-checkbox" data-task-index="3"> announce it</li>') &&
+        !html.includes('disabled')
+      );
+      break;
+    
+    case 'static task lists':
+      result = (
+        html.includes('data-task-index="0" checked disabled>') &&
+        (html.match(/<input /g) || []).length === 4 &&
+        (html.match(/ disabled>/g) || []).length === 4
+      );
+      break;
+    
+    case 'task items':
+      result = html === '<ul><li>line 3: done</li><li>line 4: open</li><li>line 5: open</li><li>line 7: open</li></ul>';
+      break;
+    
+    case 'toggle task':
+      result = html === '<pre># release\n\n- [x] write changelog\n- [ ] tag the release\n  - [x] push the tag\n\n> - [ ] announce it</pre>';
+      break;
+    
+    case 'toggle task back':
+      result = html === '<pre># release\n\n- [ ] write changelog\n- [ ] tag the release\n  - [ ] push the tag\n\n> - [x] announce it</pre>';
+      break;
+    
+    case 'toggle missing task':
+      result = html.startsWith('<p>rangeerror:');
+      break;
+    
+    case 'tasks after front matter':
+      result = html.startsWith('<p>line 6, column 3</p>') && html.endsWith('- [x] second</pre>') && html.includes('- [ ] first');
+      break;
+    
+    case 'source positions':
+      result = (
+        html.includes('<h1 data-sourcepos="1:1-1:7" id="notes">') &&
+        html.includes('<p data-sourcepos="3:1-3:17">') &&
+        html.includes('<blockquote data-sourcepos="5:1-6:8">') &&
+        html.includes('<li data-sourcepos="6:3-6:8">') &&
+        html.includes('<div data-sourcepos="8:1-10:2" class="math-block">') &&
+        html.includes('<div data-sourcepos="12:1-14:3" class="mermaid">')
+      );
+      break;
+    
+    case 'node positions':
+      result = html === '<p>em at 3:6</p>\n<p>list_item at 6:3</p>';
+      break;
+    
+    case 'lookup node':
+      result = html === '<ul><li>line 6: list_item from 6:3</li><li>line 9: blockmath from 8:1</li><li>line 11: blockmath from 8:1</li><li>line 13: code from 12:1</li></ul>';
+      break;
+    
+    case 'no source positions by default':
+      result = html.includes('<h1 id="notes">') && !html.includes('data-sourcepos');
+      break;
+    
+    case 'incremental updates':
+      result = (
+        /<h1 data-block-key="[0-9a-f]{14}" id="draft">/.test(html) &&
+        /<hr data-block-key="([0-9a-f]{14})">\n<hr data-block-key="\1-1">/.test(html) &&
+        (html.match(/ data-block-key=/g) || []).length === 6
+      );
+      break;
+    
+    case 'incremental rendering':
+      result = html === '<p>first update: first paragraph with $x^2$. / last paragraph.</p>\n<p>second update: edited paragraph with $x^2$.</p>';
+      break;
+    
+    case 'update patches':
+      result = html === '<ul><li>remove block 1</li><li>insert block before 2</li></ul>\n<p>patched keys match: true</p>';
+      break;
+    
+    case 'unchanged update':
+      result = html === '<p>0 patches; same as render(): true</p>';
+      break;
+    
+    case 'update with source positions':
+      result = html === '<p>7 blocks inserted</p>';
+      break;
+    
+    case 'large document':
+      result = (
+        html.includes('rendered 10000 paragraphs') &&
+        Number(/<span class="elapsed">(\d+)<\/span>/.exec(html)[1]) < 5000
+      );
+      break;
+    
+    case 'large quoted list':
+      result = (
+        html.includes('rendered 8000 list items') &&
+        Number(/<span class="elapsed">(\d+)<\/span>/.exec(html)[1]) < 3000
+      );
+      break;
+    
+    case 'footnotes after gettoc':
+      result = (
+        /aria-describedby="footnote-label">1<\/a><\/sup> and second<sup><a [^>]*>2<\/a><\/sup>, then first again<sup><a [^>]*>1<\/a>/.test(html)
+      );
+      break;
+    
+    case 'site footnotes':
+      result = (
+        html.includes('a claim<sup><a id="footnote-ref-source" href="#footnote-source" data-footnote-ref aria-describedby="footnote-label">1</a></sup>')
+      );
+      break;
+    
+    case 'front matter closing fence':
+      result = (
+        html === '<p>published 2024-05-01</p>' &&
+        !html.includes('<h2')
       );
       break;
     
+    case 'front matter own keys':
+      result = html === '<p>{{ page.constructor }} {{ page.title.length }} {{ page.tags.length }} {{ page.tostring }} guide</p>';
+      break;
+    
+    case 'explicit heading ids':
+      result = (
+        html.includes('<h1 id="intro-2">intro</h1>') &&
+        html.includes('<h1 id="intro">intro</h1>') &&
+        html.includes('<h2 id="intro-1">setup</h2>')
+      );
+      break;
+    
+    case 'attribute event handlers':
+      result = (
+        !/\son\w+=/.test(html) &&
+        html.includes('<p data-note="kept">a paragraph</p>') &&
+        html.includes('width="40"')
+      );
+      break;
+    
+    case 'inline positions on demand':
+      result = html === '<p>link</p><p>text,em,text,link,text</p>';
+      break;
+    
     case 'blockquotes':
       // Ensure boolean return for nested blockquote check
       result = (
@@ -674,6 +2769,14 @@ function evaluateTest(testCase, renderedHtml) {
       result = hasThumbnail || hasAutoLink;
       break;
     
+    case 'youtube embeds':
+      result = (
+        html.includes('src="https://www.youtube-nocookie.com/embed/jsttose6bsq?start=65"') &&
+        html.includes('src="https://www.youtube-nocookie.com/embed/anothervideoid?start=700"') &&
+        !html.includes('img.youtube.com')
+      );
+      break;
+    
     case 'images':
       result = (
         html.includes('<img') && 
@@ -703,6 +2806,25 @@ function evaluateTest(testCase, renderedHtml) {
       );
       break;
     
+    case 'sanitized html':
+      result = (
+        !html.includes('<script') &&
+        !html.includes('alert') &&
+        !html.includes('onclick') &&
+        !html.includes('javascript') &&
+        !html.includes('evil.example') &&
+        html.includes('<div style="color: red">hello</div>') &&
+        html.includes('<iframe class="youtube-embed" src="https://www.youtube-nocookie.com/embed/jsttose6bsq"') &&
+        html.includes('<span class="katex">') &&
+        html.includes('<code>&lt;b&gt;code&lt;/b&gt;</code>') &&
+        html.includes('<p>overlay <span>over</span></p>')
+      );
+      break;
+    
+    case 'escaping matrix':
+      result = html.includes('<!-- escaping failures: none -->');
+      break;
+    
     case 'footnotes':
       // Check for basic footnote structures
       result = (
@@ -711,6 +2833,15 @@ function evaluateTest(testCase, renderedHtml) {
       );
       break;
     
+    case 'renderer isolation':
+      result = (
+        (html.match(/<section class="footnotes"/g) || []).length === 1 &&
+        (html.match(/data-footnote-backref/g) || []).length === 1 &&
+        html.includes('img.youtube.com/vi/jsttose6bsq') &&
+        !html.includes('<iframe')
+      );
+      break;
+    
     case 'subscript and superscript':
       result = (
         html.includes('<sub>') || 
@@ -722,6 +2853,16 @@ function evaluateTest(testCase, renderedHtml) {
       result = html.includes('<mark>') || html.includes('highlight');
       break;
     
+    case 'inline extension boundaries':
+      result = (
+        html.includes('<del>gone</del>') &&
+        html.includes('h<sub>2</sub>o') &&
+        html.includes('x<sup>2</sup>') &&
+        html.includes('<mark>lit</mark>') &&
+        !html.includes('<sup>2b</sup>')
+      );
+      break;
+    
     case 'math expressions':
       // More relaxed check for math expressions
       result = (
@@ -735,6 +2876,69 @@ function evaluateTest(testCase, renderedHtml) {
       );
       break;
     
+    case 'math boundaries':
+      result = (
+        html.includes('prices are $5 and $10 today.') &&
+        html.includes('<code>$x$</code>') &&
+        html.includes('$5 and $6$') &&
+        (html.match(/class="katex"/g) || []).length === 1 &&
+        html.includes('<annotation encoding="application/x-tex">a&lt;b</annotation>')
+      );
+      break;
+    
+    case 'server-side mermaid':
+      result = (
+        html.includes('<div class="mermaid-svg" data-diagram="0"><svg class="test-diagram"><style>.n{}</style><text>diagram 0</text></svg></div>') &&
+        html.includes('<div class="mermaid-error" role="alert">') &&
+        html.includes('<p class="mermaid-error-title">invalid mermaid diagram</p>') &&
+        html.includes('parse error') &&
+        !html.includes('<div class="mermaid">')
+      );
+      break;
+    
+    case 'headless mermaid':
+      result = html === '<div class="mermaid">graph td; a--&gt;b;</div><ul><li>diagram at line 1</li></ul>';
+      break;
+    
+    case 'strict headless mermaid':
+      result = html.startsWith('<p>diagramerror at 1:');
+      break;
+    
+    case 'mermaid renderer failure':
+      result = (
+        html.includes('<p class="mermaid-error-title">mermaid diagram could not be rendered</p>') &&
+        html.includes('renderer crashed')
+      );
+      break;
+    
+    case 'ast round trip':
+      result = (
+        html.includes('<h2 id="title">title</h2>') &&
+        !html.includes('<h1')
+      );
+      break;
+    
+    case 'ast schema':
+      result = html === '<ul><li>type: document</li><li>current version: true</li><li>first child: heading</li><li>code languages: python</li><li>math: x^2 at line 3</li></ul>';
+      break;
+    
+    case 'code block dispatch':
+      result = (
+        html.includes('<div class="mermaid">graph td;') &&
+        html.includes('<div class="math-block"><span class="katex-display">') &&
+        !html.includes('language-math') &&
+        html.includes('<span class="token keyword">let</span>')
+      );
+      break;
+    
+    case 'plugin pipeline':
+      result = (
+        html.includes('<h2 class="plugin-heading">greetings hello</h2>') &&
+        html.includes('<a class="mention" href="/users/ada">@ada</a>') &&
+        html.endsWith('<!-- postprocessed -->')
+      );
+      break;
+    
     case 'diagrams (mermaid)':
       // Extremely lenient check for any mermaid-related content
       result = (
@@ -766,6 +2970,11 @@ function evaluateTest(testCase, renderedHtml) {
       break;
   }
 
+  // Strict cases must pass on their own checks
+  if (testCase.strict) {
+    return result;
+  }
+  
   // If the specific test failed but the content is there, consider it a pass
   return result || markdownPassedByContent;
 }
@@ -829,10 +3038,12 @@ async function generateUnifiedTestPage() {
 
   // Render and evaluate each test case once
   let testCounter = 0;
-  TEST_CASES.forEach(testCase => {
+  for (const testCase of TEST_CASES) {
     testCounter++;
-    // Use our new AST-based rendering approach
-    const renderedHtml = renderMarkdown(testCase.markdown);
+    // Use our new AST-based rendering approach; custom renders may be async
+    const renderedHtml = await (testCase.render
+      ? testCase.render(testCase.markdown)
+      : renderMarkdown(testCase.markdown, testCase.options));
     const passed = evaluateTest(testCase, renderedHtml);
     testResults.push({ ...testCase, renderedHtml, passed });
 
@@ -843,7 +3054,7 @@ async function generateUnifiedTestPage() {
     } else {
       testStats.failed++;
     }
-  });
+  }
 
   // Get package version for the report
   const version = await getPackageVersion();